@@ -12,35 +12,64 @@
 * See the License for the specific language governing permissions and
 * limitations under the License. */
 
+/**
+ * Default values of the managed settings, used when a key isn't set or fails
+ * validation against validation.json
+ */
+const DEFAULTS = {
+  period: 5,
+  frequency: 2,
+  tabactivity: true,
+  inventoryperiod: 60,
+  iptimeout: 5000,
+  configperiod: 60,
+  queuesize: 1000,
+  retries: 4,
+  batchrecords: 500,
+  batchbytes: 1048576,
+  gzip: false,
+  format: 'json',
+  authmode: 'none',
+  urlmode: 'full',
+  schemadialects: ['bigquery'],
+  reportmode: 'raw',
+  loglevel: 'warn',
+  logsize: 500,
+  debug: false,
+};
+
 /**
  * Admin console configured managed settings
  */
-const managed = {};
+const managed = { ...DEFAULTS };
 
 /**
- * In memory storage
+ * Base and maximum delay in milliseconds between upload attempts
  */
-const storage = [];
+const BACKOFF_BASE = 1000;
+const BACKOFF_MAX = 60000;
 
 /**
  * Javascript and determined types to BigQuery types
  */
 const BQDict = {
-  'number': 'NUMERIC',
+  'number': 'FLOAT64',
+  'integer': 'INT64',
   'bigint': 'BIGNUMERIC',
   'string': 'STRING',
   'boolean': 'BOOL',
   'date': 'DATE',
   'datetime': 'DATETIME',
+  'timestamp': 'TIMESTAMP',
 };
 
 /**
- * Checks if the object is empty
+ * Checks if a value is a plain object
  *
- * @param {object} obj
- * @returns
+ * @param {*} obj
+ * @returns {boolean}
  */
-const isEmpty = (obj) => Object.keys(obj).length === 0;
+const isObject = (obj) => !!obj && typeof obj == 'object' && !Array.isArray(obj);
 
 /**
  * Helper for local storage
@@ -53,22 +82,24 @@ const localStorage = {
 };
 
 /**
- * Removes object parameters which are empty
+ * Removes object parameters which are empty, and null ones unless keepNulls
+ * is set
  *
  * @param {object} obj
+ * @param {boolean} keepNulls
  * @returns
  */
-const clearEmptyObjects = (obj) => {
+const clearEmptyObjects = (obj, keepNulls = false) => {
   Object.keys(obj).forEach(k => {
     if (typeof obj[k] == 'object') {
       if (!obj[k]) {
-        delete obj[k];
+        if (!keepNulls) delete obj[k];
       }
       else if (Object.keys(obj[k]).length == 0) {
         delete obj[k];
       }
       else {
-        obj[k] = clearEmptyObjects(obj[k]);
+        obj[k] = clearEmptyObjects(obj[k], keepNulls);
       }
     }
   });
@@ -76,68 +107,212 @@ const clearEmptyObjects = (obj) => {
 };
 
 /**
- * Helper to clear local storage
+ * Waits for the given number of milliseconds
+ *
+ * @param {integer} ms
+ * @returns {Promise}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Hex encodes a buffer
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+const toHex = (buffer) => [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Hex encoded SHA-256 digest of a string
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const sha256 = async (text) => toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+
+/**
+ * Hex encoded HMAC-SHA256 signature of a string
+ *
+ * @param {string} secret
+ * @param {string} text
+ * @returns {string}
  */
-const clearStorage = () => {
-  chrome.storage.local.clear();
+const hmacSha256 = async (secret, text) => {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(text)));
 };
 
 /**
- * Cache a value to the local chrome storage for a limited time period.
+ * Size in bytes of a string once UTF-8 encoded
  *
- * @param {string} key
- * @param {*} value
- * @param {integer} time
- * @param {boolean} override
- * @returns
+ * @param {string} text
+ * @returns {integer}
  */
+const byteLength = (text) => new TextEncoder().encode(text).length;
 
-const cache = async (key, value, time = 21600000, override = false) => {
-  let info = await localStorage.getItem(key);
+/**
+ * Gzip compresses a string
+ *
+ * @param {string} text
+ * @returns {ArrayBuffer}
+ */
+const gzip = (text) => new Response(new Blob([text]).stream()
+  .pipeThrough(new CompressionStream('gzip'))).arrayBuffer();
 
-  //no cache and not saving a value
-  if (!info && !value) {
-    return null;
-  }
+/**
+ * Local storage keys kept by clearStorage, besides the queues and the dead
+ * letters
+ */
+const KEPT_KEYS = ['schema', 'logs', 'remoteconfig', 'summary'];
 
-  //if the value isn't an object assign as an object
-  if (typeof value != 'object') {
-    value = { value: value };
-  }
+/**
+ * Helper to clear local storage. Queued and dead-lettered records, the
+ * schema, the logs, the last good remote config and the open summary are kept
+ * so they are not lost on an extension update.
+ */
+const clearStorage = async () => {
+  const items = await localStorage.getAllItems();
+  await localStorage.removeItems(Object.keys(items).filter(k =>
+    !k.startsWith('queue:') && !k.startsWith('deadletter:') && !KEPT_KEYS.includes(k)));
+};
 
-  //overriding and forcing the cache storage
-  if (key && value && override) {
-    value.timestamp = new Date().getTime();
-    localStorage.setItem(key, JSON.stringify(value));
-    return value;
-  }
+/**
+ * Pending operations by lock name
+ */
+const locks = {};
 
-  //no currently stored value, first time save
-  if (!info && value) {
-    value.timestamp = new Date().getTime();
-    localStorage.setItem(key, JSON.stringify(value));
-    return value;
-  }
+/**
+ * Runs a function once the previous ones on the same lock have finished, so
+ * the read-modify-write cycles on a stored value don't interleave
+ *
+ * @param {string} name
+ * @param {function} fn
+ * @returns {Promise} the function result
+ */
+const serialize = (name, fn) => {
+  const run = (locks[name] || Promise.resolve()).then(fn);
+  locks[name] = run.catch(() => { });
+  return run;
+};
 
-  //safety
-  if (!info) {
-    return null;
-  }
+/**
+ * Log levels in increasing severity
+ */
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
 
-  info = JSON.parse(info);
+/**
+ * Converts log data to a storable value, keeping the message and stack of
+ * errors
+ *
+ * @param {*} data
+ * @returns {*}
+ */
+const toLogData = (data) => {
+  if (data === undefined) return data;
   try {
-    const date = new Date(info.timestamp);
-    //updating cache if expired
-    if ((Date.now() > date.getTime() + time) && value) {
-      value.timestamp = new Date().getTime();
-      localStorage.setItem(key, JSON.stringify(value));
-      return value;
-    }
+    return JSON.parse(JSON.stringify(data, (k, v) => (v instanceof Error ?
+      { name: v.name, message: v.message, stack: v.stack } : v)));
   } catch (e) {
-    if (managed.debug) sendInfo({ type: 'backend', cache: e, info: info });
+    return String(data);
   }
+};
 
-  return info;
+/**
+ * Adds an entry to the log ring buffer in local storage. Entries below the
+ * loglevel policy are skipped, or below debug when the debug policy is set,
+ * and the oldest entries are dropped past the logsize policy.
+ *
+ * @param {string} level
+ * @param {string} message
+ * @param {*} data
+ * @returns {Promise}
+ */
+const writeLog = (level, message, data) => {
+  const threshold = managed.debug ? 'debug' : managed.loglevel;
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(threshold)) {
+    return Promise.resolve();
+  }
+  const entry = { time: Date.now(), level: level, message: message, data: toLogData(data) };
+  return serialize('logs', async () => {
+    const logs = (await localStorage.getItem('logs')) || { seq: 0, shipped: 0, entries: [] };
+    logs.seq++;
+    logs.entries.push({ seq: logs.seq, ...entry });
+    if (logs.entries.length > managed.logsize) {
+      logs.entries.splice(0, logs.entries.length - managed.logsize);
+    }
+    await localStorage.setItem('logs', logs);
+  }).catch(() => { });
+};
+
+/**
+ * Logger writing to the stored log ring buffer
+ */
+const log = {
+  debug: (message, data) => writeLog('debug', message, data),
+  info: (message, data) => writeLog('info', message, data),
+  warn: (message, data) => writeLog('warn', message, data),
+  error: (message, data) => writeLog('error', message, data),
+};
+
+/**
+ * Runs an operation on a sink's queue once the previous ones have finished
+ *
+ * @param {string} name
+ * @param {function} fn
+ * @returns {Promise}
+ */
+const withQueue = (name, fn) => {
+  const key = `queue:${name}`;
+  return serialize('queue', async () => fn((await localStorage.getItem(key)) || [], key));
+};
+
+/**
+ * Records kept for each sink after the sink rejected them for good
+ */
+const DEADLETTER_SIZE = 100;
+
+/**
+ * Helper for the persistent record queues, one per sink. Entries are stored
+ * as { qid, record } so they can be removed once the sink acknowledges them.
+ */
+const queue = {
+  getAll: name => withQueue(name, entries => entries),
+  push: (name, qid, record) => withQueue(name, async (entries, key) => {
+    const max = managed.queuesize;
+    entries.push({ qid: qid, record: record });
+    //drop the oldest records once the queue is full
+    if (entries.length > max) {
+      entries.splice(0, entries.length - max);
+    }
+    //and when storage runs out, so the newest records are kept
+    for (;;) {
+      try {
+        return await localStorage.setItem(key, entries);
+      } catch (e) {
+        if (entries.length <= 1) throw e;
+        const dropped = entries.splice(0, Math.ceil(entries.length / 10));
+        log.warn('storage full, oldest queued records dropped', { sink: name, dropped: dropped.length, error: e });
+      }
+    }
+  }),
+  remove: (name, qids) => withQueue(name, (entries, key) => localStorage.setItem(key,
+    entries.filter(e => !qids.includes(e.qid)))),
+  //moves entries the sink rejected for good out of the queue
+  deadLetter: (name, dead, reason) => withQueue(name, async (entries, key) => {
+    const qids = dead.map(e => e.qid);
+    log.error('records rejected by the sink, moved to the dead letters', { sink: name, qids: qids, reason: reason });
+    const letters = (await localStorage.getItem(`deadletter:${name}`)) || [];
+    letters.push(...dead.map(e => ({ ...e, reason: reason, time: Date.now() })));
+    if (letters.length > DEADLETTER_SIZE) {
+      letters.splice(0, letters.length - DEADLETTER_SIZE);
+    }
+    await localStorage.setItem(`deadletter:${name}`, letters);
+    await localStorage.setItem(key, entries.filter(e => !qids.includes(e.qid)));
+  }),
+  //deletes the queue and the dead letters of a sink that was removed
+  drop: name => serialize('queue', () => localStorage.removeItems([`queue:${name}`, `deadletter:${name}`])),
 };
 
 /**
@@ -166,29 +341,32 @@ async function startup() {
   try {
     await getManagedStorage();
   } catch (e) {
-    try {
-      if (managed.debug) sendInfo({
-        type: 'backend', message: 'startup', err: e
-      });
-    } catch (e) { }
+    log.error('startup failed', e);
   }
   setAlarm();
 }
 
 /**
- * Pulls the JSON object set from the Admin Console, saves to local storage and
- * assigns to a variable
+ * Pulls the JSON object set from the Admin Console, validates it, saves to
+ * local storage and assigns to a variable. The managed policy takes
+ * precedence over the remote config, which takes precedence over the
+ * defaults.
  * @returns {object} data
  */
 
 function getManagedStorage() {
   return new Promise((resolve, reject) => {
     try {
-      chrome.storage.managed.get(null, function (data) {
-        Object.keys(data).forEach(k => {
-          localStorage.setItem(k, data[k]);
-          managed[k] = data[k];
+      chrome.storage.managed.get(null, async function (data) {
+        const { valid, errors } = await validatePolicy(data);
+        const remote = await getRemoteConfig(valid);
+        Object.keys(managed).forEach(k => delete managed[k]);
+        Object.assign(managed, DEFAULTS, remote.valid);
+        Object.keys(valid).forEach(k => {
+          localStorage.setItem(k, valid[k]);
+          managed[k] = valid[k];
         });
+        reportPolicyErrors([...errors, ...remote.errors]);
         resolve(data);
       });
     } catch (e) {
@@ -198,66 +376,407 @@ function getManagedStorage() {
 }
 
 /**
- * Checks the state of the manage variabble and requests again if empty
+ * Policy keys the remote config can't set, so it can't redirect or unpin
+ * itself
  */
+const REMOTE_EXCLUDED_KEYS = ['configurl', 'configkey'];
 
-async function getManaged() {
-  if (isEmpty(managed)) {
-    getManagedStorage();
+/**
+ * Imports the configkey policy, a base64 encoded SPKI P-256 public key with
+ * or without the PEM armor
+ * @param {string} pem
+ * @returns {Promise<CryptoKey>}
+ */
+function importConfigKey(pem) {
+  const base64 = pem.replace(/-----[A-Z ]+-----/g, '').replace(/\s/g, '');
+  const der = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  return crypto.subtle.importKey('spki', der, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+}
+
+/**
+ * Verifies the ECDSA P-256 SHA-256 signature of a remote config body. The
+ * signature is the base64 encoded IEEE P1363 (r || s) form.
+ * @param {string} body
+ * @param {string} signature
+ * @param {string} pem
+ * @returns {Promise<boolean>}
+ */
+async function verifyConfig(body, signature, pem) {
+  try {
+    const key = await importConfigKey(pem);
+    const sig = Uint8Array.from(atob(signature), c => c.charCodeAt(0));
+    return await crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, sig, new TextEncoder().encode(body));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Reads the last good remote config from local storage, verifying it again
+ * against the current key, and validates it like the managed policy
+ * @param {object} policy validated managed policy
+ * @returns {object} valid keys and the errors of the invalid ones
+ */
+async function getRemoteConfig(policy) {
+  const none = { valid: {}, errors: [] };
+  if (!policy.configurl || !policy.configkey) return none;
+  const cached = await localStorage.getItem('remoteconfig');
+  if (!cached || cached.url != policy.configurl) return none;
+  if (!(await verifyConfig(cached.body, cached.signature, policy.configkey))) {
+    log.warn('cached remote config signature is invalid', { url: cached.url });
+    return none;
+  }
+  let data;
+  try {
+    data = JSON.parse(cached.body);
+  } catch (e) {
+    return none;
+  }
+  if (!isObject(data)) return none;
+  REMOTE_EXCLUDED_KEYS.forEach(k => delete data[k]);
+  const { valid, errors } = await validatePolicy(data);
+  return { valid: valid, errors: errors.map(e => ({ ...e, source: 'remote' })) };
+}
+
+/**
+ * Fetches the remote config from the configurl policy. A body whose
+ * X-Signature header verifies against the configkey policy is cached as the
+ * last good config and applied; anything else is logged and the cached config
+ * stays in use.
+ */
+async function fetchRemoteConfig() {
+  await ready;
+  const { configurl, configkey } = managed;
+  if (!configurl || !configkey) return;
+  try {
+    const res = await fetch(configurl, { cache: 'no-store', credentials: 'omit' });
+    if (!res.ok) throw new Error(`status ${res.status}`);
+    const body = await res.text();
+    const signature = res.headers.get('X-Signature') || '';
+    if (!(await verifyConfig(body, signature, configkey))) {
+      throw new Error('invalid signature');
+    }
+    const cached = await localStorage.getItem('remoteconfig');
+    await localStorage.setItem('remoteconfig', { url: configurl, body: body, signature: signature, time: Date.now() });
+    if (!cached || cached.url != configurl || cached.body != body) {
+      log.info('remote config updated', { url: configurl });
+      await policyChanged();
+    }
+  } catch (e) {
+    log.warn('remote config fetch failed', { url: configurl, error: e });
+  }
+}
+
+/**
+ * Policy schema with the value constraints, loaded from validation.json.
+ * schema.json, the managed_schema, only has the types: Chrome drops policy
+ * values that fail it before the extension sees them, so the constraints are
+ * checked here where invalid keys can be reported.
+ */
+let policySchema = null;
+
+/**
+ * Checks a policy value against its validation.json entry: the type, enum,
+ * minimum, maximum and pattern, including array items and object properties
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} path
+ * @returns {string | null} reason the value is invalid
+ */
+function validateValue(value, schema, path) {
+  const types = {
+    integer: Number.isInteger,
+    number: v => typeof v == 'number' && isFinite(v),
+    string: v => typeof v == 'string',
+    boolean: v => typeof v == 'boolean',
+    array: Array.isArray,
+    object: isObject,
+  };
+  if (schema.type && types[schema.type] && !types[schema.type](value)) {
+    return `${path} must be of type ${schema.type}`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of ${schema.enum.join(', ')}`;
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return `${path} must be at least ${schema.minimum}`;
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    return `${path} must be at most ${schema.maximum}`;
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    return `${path} must match ${schema.pattern}`;
+  }
+  if (schema.pattern && schema.pattern.startsWith('^https?:')) {
+    try {
+      new URL(value);
+    } catch (e) {
+      return `${path} must be a valid URL`;
+    }
+  }
+  if (schema.items && Array.isArray(value)) {
+    for (const [i, item] of value.entries()) {
+      const error = validateValue(item, schema.items, `${path}[${i}]`);
+      if (error) return error;
+    }
+  }
+  if ((schema.properties || schema.additionalProperties) && isObject(value)) {
+    for (const k of Object.keys(value)) {
+      const sub = (schema.properties && schema.properties[k]) || schema.additionalProperties;
+      const error = sub ? validateValue(value[k], sub, `${path}.${k}`) : null;
+      if (error) return error;
+    }
   }
+  return null;
+}
+
+/**
+ * Validates the managed policy against validation.json. Invalid keys are left
+ * out so they fall back to the defaults.
+ * @param {object} data
+ * @returns {object} valid keys and the errors of the invalid ones
+ */
+async function validatePolicy(data) {
+  const valid = {};
+  const errors = [];
+  try {
+    if (!policySchema) {
+      policySchema = await (await fetch(chrome.runtime.getURL('validation.json'))).json();
+    }
+  } catch (e) {
+    return { valid: data || {}, errors: errors };
+  }
+  Object.keys(data || {}).forEach(k => {
+    const schema = policySchema.properties[k];
+    const error = schema ? validateValue(data[k], schema, k) : null;
+    if (error) {
+      errors.push({ key: k, reason: error });
+    } else {
+      valid[k] = data[k];
+    }
+  });
+  return { valid: valid, errors: errors };
+}
+
+/**
+ * Sends a 'policy error' record listing the invalid policy keys, once for
+ * each new set of errors
+ * @param {Array} errors
+ */
+async function reportPolicyErrors(errors) {
+  const reported = await localStorage.getItem('policyerrors');
+  if (JSON.stringify(reported || []) == JSON.stringify(errors)) return;
+  await localStorage.setItem('policyerrors', errors);
+  if (errors.length > 0) {
+    updateData({ event: 'policy error', invalid: errors });
+  }
+}
+
+/**
+ * Managed policy loaded when the service worker starts
+ */
+const ready = getManagedStorage();
+
+/**
+ * Waits for the managed policy loaded at worker start and logs the
+ * effective settings
+ */
+
+async function getManaged() {
+  await ready;
 
-  if (managed.debug) sendInfo({ type: 'backend', managed: managed });
+  log.debug('managed settings', redactedConfig());
 }
 
 /**
- * Set the service worker alarms
+ * Alarm callbacks by alarm name
+ */
+const alarmHandlers = {
+  sendToBackend: async () => {
+    await sendSummary();
+    return sendToBackend();
+  },
+  request: () => requestData(null, 'timed check'),
+  inventory: () => reportInventory(),
+  config: () => fetchRemoteConfig(),
+};
+
+/**
+ * Set the service worker alarms. Alarms are recreated when their period no
+ * longer matches the policy.
  */
 
 async function setAlarm() {
-  let period = managed.period ? managed.period : 5;
-  let frequency = managed.frequency ? managed.frequency : 2;
-  let tabactivity = managed.tabactivity ? managed.tabactivity : true;
+  const { period, frequency, inventoryperiod, configperiod, configurl } = managed;
 
-  if (managed.debug) sendInfo({ type: 'backend', managed: { tabactivity: tabactivity, frequency: frequency, period: period } });
+  log.debug('setting alarms', { frequency: frequency, period: period, inventoryperiod: inventoryperiod, configperiod: configperiod });
 
+  const periods = { sendToBackend: period, request: frequency, inventory: inventoryperiod };
+  if (configurl) {
+    periods.config = configperiod;
+  } else {
+    chrome.alarms.clear('config');
+  }
   chrome.alarms.getAll((alarms) => {
-    const names = alarms.map(a => a.name);
-    if (!names.includes('sendToBackend')) {
-      chrome.alarms.create('sendToBackend', { delayInMinutes: 1, periodInMinutes: period });
-      chrome.alarms.onAlarm.addListener((e) => {
-        if (e.name == 'sendToBackend') sendToBackend();
-      });
-    }
-    if (!names.includes('request')) {
-      chrome.alarms.create('request', { delayInMinutes: 1, periodInMinutes: frequency });
-      chrome.alarms.onAlarm.addListener((e) => {
-        if (e.name == 'request') requestData(null, 'timed check');
-      });
+    Object.keys(periods).forEach(name => {
+      const alarm = alarms.find(a => a.name == name);
+      if (!alarm || alarm.periodInMinutes != periods[name]) {
+        chrome.alarms.create(name, { delayInMinutes: 1, periodInMinutes: periods[name] });
+      }
+    });
+  });
+}
+
+/**
+ * Policy keys whose values are never reported
+ */
+const SENSITIVE_KEYS = ['authvalue', 'authsecret', 'pseudonymsalt'];
+
+/**
+ * Hides the sensitive values of a policy value before it is reported
+ * @param {string} key
+ * @param {*} value
+ * @returns {*}
+ */
+function redactPolicy(key, value) {
+  if (value === undefined) return value;
+  if (SENSITIVE_KEYS.includes(key)) return '[redacted]';
+  if (key == 'sinks' && Array.isArray(value)) {
+    return value.map(s => (s && s.auth ? { ...s, auth: { ...s.auth, value: undefined, secret: undefined } } : s));
+  }
+  if (key == 'ipproviders' && Array.isArray(value)) {
+    return value.map(p => (p && p.token ? { ...p, token: '[redacted]' } : p));
+  }
+  return value;
+}
+
+/**
+ * Effective managed settings with the sensitive values hidden
+ * @returns {object} config
+ */
+function redactedConfig() {
+  const config = {};
+  Object.keys(managed).forEach(k => {
+    config[k] = redactPolicy(k, managed[k]);
+  });
+  return config;
+}
+
+/**
+ * Reloads the managed policy after it changed, deletes the queues of the
+ * removed sinks, recreates the alarms and reports the changed keys.
+ */
+async function policyChanged() {
+  const previous = { ...managed };
+  const sinks = getSinks().map(s => s.name);
+  await getManagedStorage();
+  const current = getSinks().map(s => s.name);
+  for (const name of sinks.filter(n => !current.includes(n))) {
+    log.info('sink removed, its queue is deleted', { sink: name });
+    await queue.drop(name);
+  }
+  const diff = {};
+  new Set([...Object.keys(previous), ...Object.keys(managed)]).forEach(k => {
+    if (JSON.stringify(previous[k]) != JSON.stringify(managed[k])) {
+      if (managed[k] === undefined) localStorage.removeItems(k);
+      diff[k] = { oldvalue: redactPolicy(k, previous[k]), newvalue: redactPolicy(k, managed[k]) };
     }
   });
+  await setAlarm();
+  if (Object.keys(diff).length > 0) {
+    updateData({ event: 'config changed', changes: diff });
+  }
+}
 
-  if (managed.tabactivity) {
-    try {
-      chrome.tabs.onActivated.removeListener(activatedRequest);
-    } catch (e) { }
-    chrome.tabs.onActivated.addListener(activatedRequest);
+/**
+ * Gathers the extension state shown in the status popup
+ * @returns {object} status
+ */
+async function getStatus() {
+  await ready;
+  const queues = {};
+  const deadletters = {};
+  for (const sink of getSinks()) {
+    queues[sink.name] = (await queue.getAll(sink.name)).length;
+    deadletters[sink.name] = ((await localStorage.getItem(`deadletter:${sink.name}`)) || []).length;
   }
+  const collected = (await localStorage.getItem('collected')) || {};
+  const device = {};
+  Object.keys(collected).forEach(k => {
+    device[k] = collected[k].value;
+  });
+  return {
+    config: redactedConfig(),
+    uploads: (await localStorage.getItem('uploads')) || {},
+    queues: queues,
+    deadletters: deadletters,
+    lastrecord: await localStorage.getItem('lastrecord'),
+    device: device,
+    schema: await getSavedSchema(),
+  };
 }
 
 /**
- * Callback when a tab is activated
+ * Actions the status popup and the logs page can request, by message type
+ */
+const popupActions = {
+  status: getStatus,
+  flush: async () => {
+    await sendToBackend();
+    return getStatus();
+  },
+  refresh: async () => {
+    await localStorage.removeItems('collected');
+    await collectDevice();
+    return getStatus();
+  },
+  clearcache: async () => {
+    await clearStorage();
+    return getStatus();
+  },
+  //cleared under the logs lock so an entry being written isn't lost or undone
+  clearlogs: () => serialize('logs', async () => {
+    const logs = await localStorage.getItem('logs');
+    if (!logs) return;
+    logs.entries = [];
+    logs.shipped = logs.seq;
+    await localStorage.setItem('logs', logs);
+  }),
+};
+
+/**
+ * Callback when a tab is activated, when the tabactivity policy is on
  */
-function activatedRequest() {
-  requestData(null, 'tab activated');
+async function activatedRequest() {
+  await ready;
+  if (managed.tabactivity) requestData(null, 'tab activated');
 }
 
+/**
+ * Sets the event listener for the service worker alarms
+ */
+chrome.alarms.onAlarm.addListener(async (e) => {
+  await ready;
+  if (alarmHandlers[e.name]) alarmHandlers[e.name]();
+});
+
+/**
+ * Sets the event listener for managed policy changes
+ */
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area != 'managed') return;
+  await ready;
+  policyChanged();
+});
+
 /**
  * Sets the event listener of installations
  */
 chrome.runtime.onInstalled.addListener(async () => {
-  clearStorage();
-  await cache('schema', null, 600, true);
+  await clearStorage();
+  await startup();
   requestData(null, 'install');
+  fetchRemoteConfig();
 });
 
 /**
@@ -265,20 +784,39 @@ chrome.runtime.onInstalled.addListener(async () => {
  */
 
 chrome.runtime.onStartup.addListener(async () => {
+  await startup();
   requestData(null, 'startup');
+  fetchRemoteConfig();
+});
+
+/**
+ * Sets the event listener for extension installation
+ */
+chrome.management.onInstalled.addListener((info) => {
+  extensionEvent('extension installed', extensionInfo(info));
+});
+
+/**
+ * Sets the event listener for extension removal
+ */
+chrome.management.onUninstalled.addListener(async (id) => {
+  await extensionEvent('extension uninstalled', { id: id });
+  sendToBackend();
 });
 
 /**
- * Sets the event listener for managed installation
+ * Sets the event listener for when an extension is enabled
  */
-chrome.management.onInstalled.addListener(() => {
-  requestData(null, 'managed install');
+chrome.management.onEnabled.addListener((info) => {
+  extensionEvent('extension enabled', extensionInfo(info));
 });
 
 /**
- * Sets the ebvent listener for extension removal
+ * Sets the event listener for when an extension is disabled
  */
-chrome.management.onUninstalled.addListener(sendToBackend);
+chrome.management.onDisabled.addListener((info) => {
+  extensionEvent('extension disabled', extensionInfo(info));
+});
 
 /**
  * Sets the event listener for when a window is removed.
@@ -292,20 +830,43 @@ chrome.runtime.onSuspend.addListener(sendToBackend);
  * Sets the event listener for when a device restart is requested
  */
 chrome.runtime.onRestartRequired.addListener(sendToBackend);
+/**
+ * Sets the event listener for when the device comes back online
+ */
+self.addEventListener('online', sendToBackend);
 
 /**
- * Sets the listener for message passing
+ * Sets the event listener for finished page loads, including pages content
+ * scripts can't run in
  */
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status == 'complete') {
+    trackTab(tab);
+    requestData(tabId, 'loaded');
+  }
+});
 
-chrome.runtime.onMessage.addListener(async (request, sender, sendResponse) => {
-  if (request && request.type == 'start') {
-    if (managed.debug) sendInfo({ type: 'backend', message: 'starting' });
-    startup();
-    requestData(null, 'loaded');
-  } else {
-    updateData(request);
+/**
+ * Sets the event listeners tracking the active tab for the summary
+ */
+chrome.tabs.onActivated.addListener(() => trackActiveTab());
+
+/**
+ * Sets the event listener for tab activity
+ */
+chrome.tabs.onActivated.addListener(activatedRequest);
+chrome.windows.onFocusChanged.addListener((windowId) => trackActiveTab(windowId));
+
+/**
+ * Sets the listener for message passing. Only the extension's own pages are
+ * answered, asynchronously.
+ */
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request && popupActions[request.type] && sender.url && sender.url.startsWith(chrome.runtime.getURL(''))) {
+    popupActions[request.type]().then(sendResponse, e => sendResponse({ error: e.message }));
+    return true;
   }
-  sendResponse({ received: true });
 });
 
 /**
@@ -315,133 +876,566 @@ chrome.runtime.onMessage.addListener(async (request, sender, sendResponse) => {
  */
 async function updateData(request) {
   try {
-    if (request.agent) {
-      switch (true) {
-        case /CrOS/.test(request.agent):
-          request.os = 'ChromeOS';
-          break;
-        case /Android/.test(request.agent):
-          request.os = 'Android';
-          break;
-        case /Mac/.test(request.agent):
-          request.os = 'MacOS';
-          break;
-        case /Win/.test(request.agent):
-          request.os = 'Windows';
-          break;
-        case /Linux/.test(request.agent):
-          request.os = 'Linux';
-          break;
-        default:
-          request.os = 'Unknown';
-          break;
-      }
-      request.chromeversion = request.agent.match('Chrome\/([0-9]*\.[0-9]*\.[0-9]*\.[0-9]*)')[1];
-    }
-    let device = await localStorage.getItem('device');
-
-    if (!device || (device && Object.keys(device).length == 0)) {
-      const values = await getAllDeviceInfo();
-      device = {
-        getDeviceSerialNumber: values[0],
-        getDeviceAnnotatedLocation: values[1],
-        getDeviceAssetId: values[2],
-        getDirectoryDeviceId: values[3],
-        getDeviceHostname: values[4],
-        getHardwarePlatform: values[6],
-        ismanaged: values[3] ? true : false
-      };
-
-      if (values[5] && Object.keys(values[5]).length > 0) {
-        device = { ...device, ...values[5] };
-      } else if (values[5]) {
-        device.getNetworkDetails = values[5];
-      }
-      if (values[7] && Object.keys(values[7]).length > 0) {
-        const { modelName, numOfProcessors, archName } = values[7];
-        device.modelName = modelName;
-        device.archName = archName;
-        device.numOfProcessors = numOfProcessors;
-      }
-
-      localStorage.setItem('device', JSON.stringify(device));
-    }
-    if (!device) {
-      device = {};
-    }
-    if (typeof device == 'string') {
-      device = JSON.parse(device);
+    //events can wake the worker before the policy, and so the sinks, loaded
+    await ready;
+    if (request.agent || request.hints) {
+      const { hints, ...rest } = request;
+      request = { ...rest, ...(hints ? parseClientHints(hints) : parseUserAgent(request.agent)) };
     }
+    const device = await collectDevice();
 
-    let ip = await cache('ip');
-    if (!ip) {
-      ip = await getIP();
-      cache('ip', ip, (3600 + Math.floor(Math.random() * 1000)));
-    }
-    if (ip && ip.value) {
-      ip = { ip: ip.value };
-    }
+    const ip = await getPublicIp();
 
     const user = await getUser();
-    let deviceinfo = {};
-    if (device && Object.keys(device).length > 0) {
-      deviceinfo = device;
+    const allinfo = { ...request, ...user, ...ip, ...device };
+    if (Array.isArray(managed.compliancerules) && managed.compliancerules.length > 0) {
+      allinfo.compliance = await evaluateCompliance(allinfo, managed.compliancerules);
+      setComplianceBadge(allinfo.compliance);
+    } else {
+      setComplianceBadge(null);
     }
-    const allinfo = { ...request, ...user, ...ip, ...deviceinfo };
 
-    if (managed.debug) sendInfo({ type: 'backend', allinfo: allinfo });
+    //the record itself is only logged once the privacy policies are applied
+    log.debug('record collected', { event: allinfo.event, fields: Object.keys(allinfo) });
+    localStorage.setItem('lastrecord', allinfo);
 
     if (allinfo.event) {
-      sendData(allinfo);
+      admitEvent(allinfo);
     }
 
 
   } catch (e) {
-    if (managed.debug) sendInfo({ type: 'backend', dataerror: e });
+    log.error('collecting the record failed', e);
   }
 }
 
 /**
- * Sends data to a POST endpoint
- * @param {object} data
- * @param {string} url
- * @returns
+ * Resolves true once the device is back online, or false after the timeout
+ *
+ * @param {integer} timeout
+ * @returns {Promise<boolean>}
  */
-async function sendToSink(data, url) {
-  if (!data || data.length == 0 || !url) {
-    return;
-  }
-  try {
-    const res = await fetch(url, {
-      method: 'POST',
-      body: JSON.stringify(data)
-    });
-    if (managed.debug) sendInfo({ type: 'backend', res: res });
-  } catch (e) {
-    if (managed.debug) sendInfo({ type: 'backend', res: e });
-  }
+function waitForOnline(timeout) {
+  return new Promise(resolve => {
+    if (navigator.onLine) return resolve(true);
+    const done = (online) => {
+      clearTimeout(timer);
+      self.removeEventListener('online', onOnline);
+      resolve(online);
+    };
+    const onOnline = () => done(true);
+    const timer = setTimeout(() => done(false), timeout);
+    self.addEventListener('online', onOnline);
+  });
 }
 
 /**
- * Retrieves managed device info
- * @returns {Array} Device Info
+ * Exponential backoff delay with jitter for an upload attempt
+ *
+ * @param {integer} attempt
+ * @returns {integer} delay in milliseconds
  */
-
-function getAllDeviceInfo() {
-  return Promise.all([getDeviceInfo('getDeviceSerialNumber'),
-  getDeviceInfo('getDeviceAnnotatedLocation'),
-  getDeviceInfo('getDeviceAssetId'),
-  getDeviceInfo('getDirectoryDeviceId'),
-  getDeviceInfo('getDeviceHostname'),
-  getNetworkInfo(),
-  getHardwarePlatform(),
-  getSystemCpuInfo()
-  ]);
+function backoff(attempt) {
+  const delay = Math.min(BACKOFF_MAX, BACKOFF_BASE * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
 }
 
 /**
- * Retrieves network info for a managed device
- * @returns {object} getNetworkDetails
+ * Reads the Retry-After header of a response as a delay in milliseconds
+ *
+ * @param {Response} res
+ * @returns {integer | null}
+ */
+function retryAfter(res) {
+  const header = res.headers.get('Retry-After');
+  if (!header) return null;
+  if (/^[0-9]+$/.test(header.trim())) {
+    return parseInt(header, 10) * 1000;
+  }
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Auth settings for the sink from the managed policy
+ * @returns {object} auth
+ */
+function getAuth() {
+  return {
+    mode: managed.authmode,
+    header: managed.authheader,
+    value: managed.authvalue,
+    secret: managed.authsecret,
+    scopes: managed.authscopes,
+  };
+}
+
+/**
+ * Retrieves an OAuth token for the signed in user. chrome.identity only
+ * issues tokens when the manifest has an oauth2 block with the client id of
+ * the deployment's Google Cloud project, so oauth mode needs that added.
+ * @param {Array} scopes
+ * @returns {string} token
+ */
+function getAuthToken(scopes) {
+  return new Promise((resolve, reject) => {
+    try {
+      const details = { interactive: false };
+      if (scopes && scopes.length > 0) details.scopes = scopes;
+      chrome.identity.getAuthToken(details, (result) => {
+        if (chrome.runtime.lastError || !result) return resolve(null);
+        resolve(typeof result == 'object' ? result.token : result);
+      });
+    } catch (e) {
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Removes an expired OAuth token from the cache so the next request gets a
+ * new one
+ * @param {string} token
+ */
+function removeAuthToken(token) {
+  return new Promise((resolve, reject) => {
+    try {
+      chrome.identity.removeCachedAuthToken({ token: token }, resolve);
+    } catch (e) {
+      resolve();
+    }
+  });
+}
+
+/**
+ * Builds the authentication headers for a sink request. In hmac mode the
+ * signature covers the timestamp and the uncompressed body, joined by a dot.
+ * @param {object} auth
+ * @param {string} body
+ * @returns {object | null} headers, or null when the mode's credentials
+ * aren't available
+ */
+async function authHeaders(auth, body) {
+  switch (auth && auth.mode) {
+    case 'oauth': {
+      const token = await getAuthToken(auth.scopes);
+      return token ? { 'Authorization': `Bearer ${token}` } : null;
+    }
+    case 'header':
+      return auth.value ? { [auth.header || 'Authorization']: auth.value } : null;
+    case 'hmac': {
+      if (!auth.secret) return null;
+      const timestamp = Date.now().toString();
+      return {
+        'X-Signature': await hmacSha256(auth.secret, `${timestamp}.${body}`),
+        'X-Timestamp': timestamp,
+      };
+    }
+    default:
+      return {};
+  }
+}
+
+/**
+ * Compares two dotted version strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {integer} negative, zero or positive like a sort comparator
+ */
+function compareVersions(a, b) {
+  const x = String(a).split('.').map(n => parseInt(n, 10) || 0);
+  const y = String(b).split('.').map(n => parseInt(n, 10) || 0);
+  for (let i = 0; i < Math.max(x.length, y.length); i++) {
+    if ((x[i] || 0) != (y[i] || 0)) return (x[i] || 0) - (y[i] || 0);
+  }
+  return 0;
+}
+
+/**
+ * Evaluates the compliance rules against a record. Rules whose data isn't
+ * available on the device, such as a Chrome version a collector couldn't
+ * read, are listed as unknown rather than failed.
+ * @param {object} info
+ * @param {Array} rules
+ * @returns {object} compliance result with the failed and unknown rule ids
+ */
+async function evaluateCompliance(info, rules) {
+  const failed = [];
+  const unknown = [];
+  let extensions = null;
+  const values = rule => (Array.isArray(rule.values) ? rule.values : [rule.value]).filter(v => v);
+
+  for (const [i, rule] of rules.entries()) {
+    const id = rule.id || `${rule.type}${i}`;
+    let pass = null;
+    switch (rule.type) {
+      case 'minchromeversion':
+        if (info.chromeversion) pass = compareVersions(info.chromeversion, rule.value) >= 0;
+        break;
+      case 'os':
+        if (info.os) pass = values(rule).includes(info.os);
+        break;
+      case 'managed':
+        pass = info.ismanaged === true;
+        break;
+      case 'requiredextensions':
+      case 'forbiddenextensions': {
+        if (!extensions) extensions = (await getExtensions()).filter(e => e.enabled).map(e => e.id);
+        const installed = values(rule).filter(ext => extensions.includes(ext));
+        pass = rule.type == 'requiredextensions' ? installed.length == values(rule).length : installed.length == 0;
+        break;
+      }
+    }
+    if (pass === false) failed.push(id);
+    if (pass === null) unknown.push(id);
+  }
+  return { compliant: failed.length == 0, failed: failed, unknown: unknown };
+}
+
+/**
+ * Shows the compliance state on the extension badge, or clears it when no
+ * compliance rules are set
+ * @param {object | null} compliance
+ */
+function setComplianceBadge(compliance) {
+  if (!compliance) {
+    try {
+      chrome.action.setBadgeText({ text: '' });
+      chrome.action.setTitle({ title: chrome.i18n.getMessage('appName') });
+    } catch (e) {
+      log.warn('badge update failed', e);
+    }
+    return;
+  }
+  let text = 'OK';
+  let color = '#188038';
+  let title = chrome.i18n.getMessage('compliant');
+  if (!compliance.compliant) {
+    text = '!';
+    color = '#d93025';
+    title = chrome.i18n.getMessage('notCompliant', compliance.failed.join(', '));
+  } else if (compliance.unknown.length > 0) {
+    text = '?';
+    color = '#f9ab00';
+    title = chrome.i18n.getMessage('complianceUnknown', compliance.unknown.join(', '));
+  }
+  try {
+    chrome.action.setBadgeText({ text: text });
+    chrome.action.setBadgeBackgroundColor({ color: color });
+    chrome.action.setTitle({ title: title });
+  } catch (e) {
+    log.warn('badge update failed', e);
+  }
+}
+
+/**
+ * Saves the outcome of the last upload to a sink for the status popup
+ * @param {string} name
+ * @param {integer} status HTTP status, 0 when the request failed
+ * @param {boolean} ok
+ */
+async function recordUpload(name, status, ok) {
+  const uploads = (await localStorage.getItem('uploads')) || {};
+  const upload = uploads[name] || {};
+  upload.status = status;
+  upload.time = Date.now();
+  if (ok) {
+    upload.lastsuccess = upload.time;
+    upload.lastsuccessstatus = status;
+  }
+  uploads[name] = upload;
+  await localStorage.setItem('uploads', uploads);
+}
+
+/**
+ * Statuses a sink answers when it can't accept the data it was sent: a
+ * malformed or too large body, or a record it doesn't accept. A 415 means the
+ * format doesn't suit the sink, which is fixed in the policy like the other
+ * client errors.
+ */
+const PERMANENT_STATUSES = [400, 413, 422];
+
+/**
+ * Sends data to a POST endpoint. Non 2xx responses are retried with
+ * exponential backoff while the error is transient, and uploads pause while
+ * the device is offline. The id is sent as the Idempotency-Key header so the
+ * endpoint can drop repeated batches. The body is written by the formatter
+ * and gzip compressed when the gzip policy is set. A 401 in oauth mode
+ * refreshes the token once. Statuses in PERMANENT_STATUSES mean the sink
+ * rejected the data itself, so it is reported as permanent and not retried.
+ * @param {object} data
+ * @param {string} url
+ * @param {object} options id, sink name, auth, format and formatter options
+ * @returns {object} sent when the sink acknowledged the data, with the
+ * records the formatter's response check found failed, or permanent and the
+ * status when it rejected it for good
+ */
+async function sendToSink(data, url, { id = crypto.randomUUID(), name = 'schema', auth = getAuth(), format = 'json', options = {} } = {}) {
+  if (!data || data.length == 0 || !url) {
+    return { sent: false };
+  }
+  const formatter = formatters[format] || formatters.json;
+  const retries = managed.retries;
+  const headers = { 'Content-Type': formatter.contentType, 'Idempotency-Key': id };
+  const json = formatter.format(data, options);
+  let body = json;
+  if (managed.gzip) {
+    body = await gzip(json);
+    headers['Content-Encoding'] = 'gzip';
+  }
+  let refreshed = false;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    //keep the data queued if the device doesn't come back online
+    if (!(await waitForOnline(BACKOFF_MAX))) {
+      return { sent: false };
+    }
+    let delay = backoff(attempt);
+    try {
+      const credentials = await authHeaders(auth, json);
+      //never post without the credentials the sink is configured for
+      if (!credentials) {
+        log.error('upload credentials unavailable', { sink: name, mode: auth.mode });
+        await recordUpload(name, 0, false);
+        return { sent: false };
+      }
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { ...headers, ...credentials },
+        body: body
+      });
+      log[res.ok ? 'debug' : 'warn']('upload response', { sink: name, status: res.status, id: id, attempt: attempt });
+      await recordUpload(name, res.status, res.ok);
+      if (res.ok) {
+        //some sinks acknowledge the request but reject records inside it
+        const failed = formatter.check ? await formatter.check(res, data) : [];
+        return { sent: true, failed: failed };
+      }
+      //an expired token is dropped and the request repeated with a new one
+      if (res.status == 401 && auth.mode == 'oauth' && credentials.Authorization && !refreshed) {
+        refreshed = true;
+        await removeAuthToken(credentials.Authorization.replace('Bearer ', ''));
+        attempt--;
+        continue;
+      }
+      if (PERMANENT_STATUSES.includes(res.status)) {
+        return { sent: false, permanent: true, status: res.status };
+      }
+      //other client errors, like a bad token or url, won't succeed on a retry
+      //either but are fixed in the policy, so the data stays queued
+      if (res.status < 500 && res.status != 408 && res.status != 429) {
+        return { sent: false };
+      }
+      const wait = retryAfter(res);
+      if (wait != null) {
+        //leave it to a later upload when the sink asks for a long pause
+        if (wait > BACKOFF_MAX) {
+          retryAt[name] = Date.now() + wait;
+          return { sent: false };
+        }
+        delay = wait;
+      }
+    } catch (e) {
+      log.warn('upload failed', { sink: name, id: id, attempt: attempt, error: e });
+      await recordUpload(name, 0, false);
+    }
+    if (attempt < retries) {
+      await sleep(delay);
+    }
+  }
+  return { sent: false };
+}
+
+/**
+ * Device info collectors by name. Each one declares the permission it needs,
+ * its timeout in milliseconds, how many minutes its value is kept and the
+ * key it is reported under. Collectors without a key merge their object into
+ * the device info. Collectors with a label report a change event when a
+ * refreshed value differs from the cached one.
+ */
+const collectors = {
+  serialnumber: {
+    permission: 'enterprise.deviceAttributes', timeout: 5000, ttl: 1440, key: 'getDeviceSerialNumber',
+    collect: () => getDeviceInfo('getDeviceSerialNumber'),
+  },
+  location: {
+    permission: 'enterprise.deviceAttributes', timeout: 5000, ttl: 60, key: 'getDeviceAnnotatedLocation',
+    label: 'location',
+    collect: () => getDeviceInfo('getDeviceAnnotatedLocation'),
+  },
+  assetid: {
+    permission: 'enterprise.deviceAttributes', timeout: 5000, ttl: 60, key: 'getDeviceAssetId',
+    label: 'asset id',
+    collect: () => getDeviceInfo('getDeviceAssetId'),
+  },
+  deviceid: {
+    permission: 'enterprise.deviceAttributes', timeout: 5000, ttl: 1440, key: 'getDirectoryDeviceId',
+    label: 'device id',
+    collect: () => getDeviceInfo('getDirectoryDeviceId'),
+  },
+  hostname: {
+    permission: 'enterprise.deviceAttributes', timeout: 5000, ttl: 60, key: 'getDeviceHostname',
+    label: 'hostname',
+    collect: () => getDeviceInfo('getDeviceHostname'),
+  },
+  network: {
+    permission: 'enterprise.networkingAttributes', timeout: 5000, ttl: 60,
+    label: 'network',
+    collect: getNetworkInfo,
+  },
+  hardware: {
+    permission: 'enterprise.hardwarePlatform', timeout: 5000, ttl: 1440, key: 'getHardwarePlatform',
+    collect: getHardwarePlatform,
+  },
+  cpu: {
+    permission: 'system.cpu', timeout: 5000, ttl: 1440,
+    collect: async () => {
+      const info = await getSystemCpuInfo();
+      if (!info) return;
+      const { modelName, numOfProcessors, archName } = info;
+      return { modelName: modelName, archName: archName, numOfProcessors: numOfProcessors };
+    },
+  },
+  memory: {
+    permission: 'system.memory', timeout: 5000, ttl: 5, key: 'memory',
+    collect: getSystemMemoryInfo,
+  },
+  storage: {
+    permission: 'system.storage', timeout: 5000, ttl: 60, key: 'storage',
+    collect: async () => {
+      const units = await getSystemStorageInfo();
+      if (!Array.isArray(units)) return;
+      return units.map(u => ({ id: u.id, name: u.name, type: u.type, capacity: u.capacity }));
+    },
+  },
+  display: {
+    permission: 'system.display', timeout: 5000, ttl: 60, key: 'displays',
+    collect: async () => {
+      const displays = await getSystemDisplayInfo();
+      if (!Array.isArray(displays)) return;
+      return displays.map(d => ({
+        id: d.id,
+        name: d.name,
+        isPrimary: d.isPrimary,
+        isInternal: d.isInternal,
+        width: d.bounds.width,
+        height: d.bounds.height,
+        dpiX: d.dpiX,
+        dpiY: d.dpiY,
+        rotation: d.rotation,
+      }));
+    },
+  },
+};
+
+/**
+ * Resolves with the promise value, or undefined once the timeout passes
+ * @param {Promise} promise
+ * @param {integer} timeout
+ * @returns {Promise}
+ */
+function withTimeout(promise, timeout) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, timeout);
+    Promise.resolve(promise).then(value => {
+      clearTimeout(timer);
+      resolve(value);
+    }, () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Checks if the extension holds a permission
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(permission) {
+  return new Promise((resolve, reject) => {
+    try {
+      chrome.permissions.contains({ permissions: [permission] }, resolve);
+    } catch (e) {
+      resolve(false);
+    }
+  });
+}
+
+/**
+ * Builds the device info and reports the attributes that changed since they
+ * were last collected
+ * @returns {object} device info
+ */
+async function collectDevice() {
+  //a second collection waits for the first, so it sees the refreshed cache
+  const { device, changes } = await serialize('collect', runCollectors);
+  changes.forEach(c => updateData({
+    event: `${c.label} changed`,
+    attribute: c.name,
+    field: collectors[c.name].key,
+    oldvalue: c.oldvalue,
+    newvalue: c.newvalue,
+  }));
+  return device;
+}
+
+/**
+ * Runs the collectors turned on by the collectors policy and builds the
+ * device info. Values are cached for each collector's ttl, which the
+ * refreshintervals policy can override in minutes, and a collector that fails
+ * or times out keeps its cached value.
+ * @returns {object} device info and the changed attributes
+ */
+async function runCollectors() {
+  const cached = (await localStorage.getItem('collected')) || {};
+  const enabled = managed.collectors || {};
+  const intervals = managed.refreshintervals || {};
+  const names = Object.keys(collectors).filter(name => enabled[name] !== false);
+  const changes = [];
+
+  const results = await Promise.all(names.map(async name => {
+    const collector = collectors[name];
+    const entry = cached[name];
+    const ttl = Number.isInteger(intervals[name]) ? intervals[name] : collector.ttl;
+    if (entry && Date.now() < entry.timestamp + ttl * 60000) {
+      return [name, entry];
+    }
+    if (!(await hasPermission(collector.permission))) {
+      return [name, null];
+    }
+    const value = await withTimeout(collector.collect(), collector.timeout);
+    if (value === undefined) {
+      log.warn('collector failed or timed out', { collector: name, timeout: collector.timeout });
+      return [name, entry];
+    }
+    if (collector.label && entry && JSON.stringify(entry.value) != JSON.stringify(value)) {
+      changes.push({ name: name, label: collector.label, oldvalue: entry.value, newvalue: value });
+    }
+    return [name, { value: value, timestamp: Date.now() }];
+  }));
+
+  const collected = {};
+  const device = {};
+  results.forEach(([name, entry]) => {
+    if (!entry) return;
+    collected[name] = entry;
+    const { key } = collectors[name];
+    if (key) {
+      device[key] = entry.value;
+    } else if (entry.value && typeof entry.value == 'object') {
+      Object.assign(device, entry.value);
+    }
+  });
+  await localStorage.setItem('collected', collected);
+
+  device.ismanaged = device.getDirectoryDeviceId ? true : false;
+  return { device: device, changes: changes };
+}
+
+/**
+ * Retrieves network info for a managed device
+ * @returns {object} getNetworkDetails
  */
 function getNetworkInfo() {
   return new Promise((resolve, reject) => {
@@ -500,241 +1494,1877 @@ function getSystemCpuInfo() {
 }
 
 /**
- * Retrieves the logged in user information
- * @returns {object} User
+ * Retrieves system memory info
+ * @returns {object} memory info
  */
-function getUser() {
+function getSystemMemoryInfo() {
   return new Promise((resolve, reject) => {
     try {
-      chrome.identity.getProfileUserInfo(resolve);
+      chrome.system.memory.getInfo(resolve);
     } catch (e) {
-      reject(e);
+      resolve('');
     }
   });
 }
 
 /**
- * Performs a GET call to a URL set on the the Admin Console.
- * Expects an unauthenticated url to retrieve the user IP address
- * @returns {object} ip info
+ * Retrieves the attached storage units
+ * @returns {Array} storage info
  */
-async function getIP() {
-  const ipurl = managed.ipurl;
-  if (!ipurl) {
-    return {};
-  }
-
-  const res = await fetch(ipurl);
-  const geoip = await res.json();
-  if (ipurl.includes('ip-api.com')) {
-    if (geoip.status) {
-      delete geoip.status;
+function getSystemStorageInfo() {
+  return new Promise((resolve, reject) => {
+    try {
+      chrome.system.storage.getInfo(resolve);
+    } catch (e) {
+      resolve('');
     }
-    if (geoip.query && !geoip.ip) {
-      geoip.ip = geoip.query;
-      delete geoip.query;
+  });
+}
+
+/**
+ * Retrieves the connected displays
+ * @returns {Array} display info
+ */
+function getSystemDisplayInfo() {
+  return new Promise((resolve, reject) => {
+    try {
+      chrome.system.display.getInfo(resolve);
+    } catch (e) {
+      resolve('');
     }
-  }
-  return geoip;
+  });
 }
 
 /**
- * Message passing to the client when the tab id is known
- * @param {object} e
+ * Retrieves the installed extensions and apps
+ * @returns {Array} ExtensionInfo
  */
-function sendInfo(e) {
-  chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
-    if (!tabs[0].id) return;
-    chrome.tabs.sendMessage(tabs[0].id, e);
+function getExtensions() {
+  return new Promise((resolve, reject) => {
+    try {
+      chrome.management.getAll(resolve);
+    } catch (e) {
+      resolve([]);
+    }
   });
 }
 
 /**
- * Requests the client side information
- * @param {object} data
+ * Picks the reported fields of an installed extension
+ * @param {object} info ExtensionInfo
+ * @returns {object} extension
+ */
+function extensionInfo(info) {
+  return {
+    id: info.id,
+    name: info.name,
+    version: info.version,
+    enabled: info.enabled,
+    installType: info.installType,
+    type: info.type,
+    permissions: info.permissions,
+    hostPermissions: info.hostPermissions,
+  };
+}
+
+/**
+ * Reports a snapshot of the installed extensions and saves it, so later
+ * events can name an extension after it is removed
+ */
+async function reportInventory() {
+  const extensions = (await getExtensions()).map(extensionInfo);
+  await localStorage.setItem('extensions', extensions);
+  await updateData({ event: 'extension inventory', extensions: extensions });
+}
+
+/**
+ * Reports an install, uninstall, enable or disable of an extension and
+ * updates the saved snapshot
  * @param {string} event
+ * @param {object} extension
  */
-function requestData(data, event) {
-  try {
-    if (typeof data != 'object' || !data) { data = { tabId: data }; }
-    if (event) data.event = event;
-    if (data && data.tabId) {
-      chrome.tabs.sendMessage(data.tabId, { type: 'request', item: data }, (res) => { });
-    }
-    else {
-      sendInfo({ type: 'request', item: data });
-    }
-  } catch (e) {
-    if (managed.debug) sendInfo({ type: 'backend', request: e });
+async function extensionEvent(event, extension) {
+  const extensions = (await localStorage.getItem('extensions')) || [];
+  const known = extensions.find(e => e.id == extension.id);
+  const others = extensions.filter(e => e.id != extension.id);
+  if (event == 'extension uninstalled') {
+    extension = { ...known, ...extension };
+    await localStorage.setItem('extensions', others);
+  } else {
+    await localStorage.setItem('extensions', [...others, extension]);
   }
+  await updateData({ event: event, extension: extension });
 }
 
 /**
- * Formats and Assigns data to the storage array
- * @param {object} e
+ * Retrieves the logged in user information
+ * @returns {object} User
  */
-async function sendData(e) {
-  try {
-    getManaged();
-  } catch (e) { }
-  if (e.url) {
-    const url = new URL(e.url);
+function getUser() {
+  return new Promise((resolve, reject) => {
     try {
-      e.urlObject = toJson(url);
+      chrome.identity.getProfileUserInfo(resolve);
     } catch (e) {
-      if (managed.debug) sendInfo({ type: 'backend', err: e });
-    }
-    delete e.urlObject.searchParams;
-  }
-
-  const schemaurl = managed.schemaurl;
-  if (schemaurl) {
-    let savedSchema = await cache('schema');
-    if (savedSchema && savedSchema.value) {
-      savedSchema = savedSchema.value;
-    }
-    if (!Array.isArray(savedSchema)) {
-      savedSchema = null;
-    }
-    const schema = createSchema(e);
-
-    const newSchema = checkSchema(schema, savedSchema);
-    if (newSchema) {
-      await cache('schema', schema, 600, true);
-      await sendToSink(schema, schemaurl);
+      reject(e);
     }
-  }
-  const all = clearEmptyObjects(e);
-  all.timestamp = new Date().getTime();
-  storage.push(all);
+  });
 }
 
 /**
- * Sends the storage data to the sink and clears the storage
- * @returns
+ * IP address fields providers are normalized to
  */
-async function sendToBackend() {
-  if (managed.debug) sendInfo({ type: 'backend', storage: storage });
+const IP_FIELDS = ['ip', 'country', 'region', 'city', 'asn', 'isp'];
+
+/**
+ * Minutes a public IP lookup is cached, unless the refreshintervals policy
+ * sets ip
+ */
+const IP_TTL = 60;
 
-  const posturl = managed.posturl;
-  if (!posturl) return;
+/**
+ * IP address provider adapters by type: the default URL and how to
+ * normalize the response to the IP_FIELDS
+ */
+const ipProviders = {
+  ipapi: {
+    url: 'http://ip-api.com/json/?fields=status,countryCode,regionName,city,isp,as,query',
+    normalize: (d) => (d.status == 'fail' ? null : {
+      ip: d.query,
+      country: d.countryCode,
+      region: d.regionName,
+      city: d.city,
+      asn: d.as ? d.as.split(' ')[0] : undefined,
+      isp: d.isp,
+    }),
+  },
+  ipinfo: {
+    url: 'https://ipinfo.io/json',
+    normalize: (d) => {
+      //org is the AS number followed by the organization name
+      const org = (d.org || '').match(/^(AS[0-9]+)\s*(.*)$/);
+      return {
+        ip: d.ip,
+        country: d.country,
+        region: d.region,
+        city: d.city,
+        asn: org ? org[1] : undefined,
+        isp: org ? org[2] : d.org,
+      };
+    },
+  },
+  ipify: {
+    url: 'https://api64.ipify.org?format=json',
+    normalize: (d) => ({ ip: d.ip }),
+  },
+  custom: {
+    normalize: (d, provider) => {
+      const paths = provider.paths || {};
+      const info = {};
+      IP_FIELDS.forEach(k => {
+        const value = getPath(d, paths[k] || k);
+        if (value !== undefined && value !== null) info[k] = String(value);
+      });
+      return info;
+    },
+  },
+};
 
-  await sendToSink(storage, posturl);
-  storage.splice(0, storage.length);
+/**
+ * The IP address providers from the ipproviders policy, or the ipurl policy
+ * as a single provider
+ * @returns {Array} providers
+ */
+function getIpProviders() {
+  if (Array.isArray(managed.ipproviders) && managed.ipproviders.length > 0) {
+    return managed.ipproviders.filter(p => ipProviders[p.type] && (p.url || ipProviders[p.type].url));
+  }
+  if (managed.ipurl) {
+    return [{ type: managed.ipurl.includes('ip-api.com') ? 'ipapi' : 'custom', url: managed.ipurl }];
+  }
+  return [];
 }
 
 /**
- * Compares two objects
- * @param {object} schema
- * @param {object} savedSchema
- * @returns {boolean}
+ * Queries one IP address provider
+ * @param {object} provider
+ * @returns {object | null} normalized IP info
  */
-function checkSchema(schema, savedSchema) {
-  return objectCompare(schema, savedSchema);
+async function queryIpProvider(provider) {
+  const adapter = ipProviders[provider.type];
+  const url = new URL(provider.url || adapter.url);
+  if (provider.token) url.searchParams.set('token', provider.token);
+  const res = await fetch(url, { signal: AbortSignal.timeout(managed.iptimeout), credentials: 'omit', cache: 'no-store' });
+  if (!res.ok) throw new Error(`status ${res.status}`);
+  const info = adapter.normalize(await res.json(), provider);
+  if (!info || !info.ip) throw new Error('no ip in the response');
+  Object.keys(info).forEach(k => {
+    if (info[k] === undefined || info[k] === '') delete info[k];
+  });
+  return info;
 }
 
-function objectCompare(obj, savedObj) {
-  let newSchema = false;
-  if (!savedObj || savedObj.length == 0) {
-    return true;
+/**
+ * Tries the providers in order and returns the first answer
+ * @param {Array} providers
+ * @returns {object | null} normalized IP info
+ */
+async function queryIpProviders(providers) {
+  for (const provider of providers) {
+    try {
+      return await queryIpProvider(provider);
+    } catch (e) {
+      log.warn('ip provider failed', { type: provider.type, url: provider.url, error: e });
+    }
   }
-  if ((!savedObj || savedObj.length == 0) && obj && obj.length > 0) {
-    return true;
+  return null;
+}
+
+/**
+ * Looks up the public IP address and its location. Providers without a
+ * family are tried in order for the location; providers with a family of
+ * ipv4 or ipv6 fill in that address when it is still missing.
+ * @returns {object | null} IP info
+ */
+async function getIP() {
+  const providers = getIpProviders();
+  if (providers.length == 0) return null;
+  const info = (await queryIpProviders(providers.filter(p => !p.family))) || {};
+  const family = (ip) => (ip.includes(':') ? 'ipv6' : 'ipv4');
+  if (info.ip) info[family(info.ip)] = info.ip;
+  for (const f of ['ipv4', 'ipv6']) {
+    if (info[f]) continue;
+    const result = await queryIpProviders(providers.filter(p => p.family == f));
+    if (result && family(result.ip) == f) {
+      info[f] = result.ip;
+      if (!info.ip) Object.assign(info, result);
+    }
   }
+  return info.ip ? info : null;
+}
 
-  obj.forEach(k => {
-    const saved = savedObj.find(o => o.name == k.name);
-    if (saved && saved.type != k.type) {
-      newSchema = true;
+/**
+ * Gets the public IP info, cached for the ip refresh interval. When every
+ * provider fails the last known value is kept and the lookup is tried again
+ * on the next record. Changes of the address or the country are reported,
+ * once, since lookups run one at a time.
+ * @returns {object} IP info
+ */
+async function getPublicIp() {
+  const { value, changes } = await serialize('publicip', async () => {
+    const cached = await localStorage.getItem('publicip');
+    const intervals = managed.refreshintervals || {};
+    const ttl = Number.isInteger(intervals.ip) ? intervals.ip : IP_TTL;
+    if (cached && Date.now() < cached.timestamp + ttl * 60000) {
+      return { value: cached.value, changes: [] };
     }
-    if (!saved) {
-      newSchema = true;
+    if (!navigator.onLine) {
+      return { value: cached ? cached.value : {}, changes: [] };
     }
-    if (k && k.type == 'STRUCT') {
-      if (!saved) {
-        newSchema = true;
-      } else {
-        newSchema = objectCompare(k.fields, saved.fields);
+    const value = await getIP();
+    if (!value) {
+      return { value: cached ? cached.value : {}, changes: [] };
+    }
+    await localStorage.setItem('publicip', { value: value, timestamp: Date.now() });
+    const changes = [];
+    if (cached && cached.value) {
+      const old = cached.value;
+      if (old.ip != value.ip || old.ipv4 != value.ipv4 || old.ipv6 != value.ipv6) {
+        const pick = (v) => ({ ip: v.ip, ipv4: v.ipv4, ipv6: v.ipv6 });
+        changes.push({ event: 'ip changed', attribute: 'ip', oldvalue: pick(old), newvalue: pick(value) });
+      }
+      if (old.country != value.country) {
+        changes.push({ event: 'country changed', attribute: 'country', field: 'country', oldvalue: old.country, newvalue: value.country });
       }
     }
-
+    return { value: value, changes: changes };
   });
-  return newSchema;
+  changes.forEach(c => updateData(c));
+  return value;
 }
 
 /**
- * Creates a BigQuery schema from JSON object
- * @param {object} data
- * @returns
+ * Client information read in this service worker's lifetime
  */
+let clientInfo = null;
 
-function createSchema(data) {
-  if (!data) return;
-  const schema = [];
-  const keys = Object.keys(data);
-  keys.forEach(k => {
-    const obj = {};
-    const type = typeof data[k];
-    if (type == 'object') {
-      if (Array.isArray(data[k])) {
-        obj['type'] = 'RECORD';
-        obj['mode'] = 'REPEATED';
-        const repeated = {};
-        const fields = [];
-        data[k].forEach((d, i) => {
-          const atype = typeof d;
-          if (atype == 'object') {
-            const akeys = Object.keys(d);
-            const rkeys = Object.keys(repeated);
-            akeys.forEach(ak => {
-              if (!rkeys.includes(ak)) {
-                repeated[ak] = d[ak];
-              }
-              if (repeated[ak] == undefined && d[ak]) {
-                repeated[ak] = d[ak];
-              }
-            });
-          }
-          else {
-            const o = {
-              name: `item${i}`,
-              type: BQDict[typeof d]
-            };
-            fields.push(o);
-          }
-        });
-
-        if (Object.keys(repeated).length > 0) {
-          obj['fields'] = createSchema(repeated);
-        }
-        else if (fields && fields.length > 0) {
-          obj['fields'] = fields;
-        }
-        else {
-          obj['fields'] = createSchema(data[k][0]);
-        }
+/**
+ * Pending offscreen document creation, so concurrent requests share it
+ */
+let creatingOffscreen = null;
 
-      }
-      else {
-        obj['type'] = 'STRUCT';
-        obj['fields'] = createSchema(data[k]);
-        if (!obj['fields'] || obj['fields'].length == 0) {
-          return;
-        }
-      }
-    }
-    else {
-      obj['type'] = BQDict[type];
-    }
+/**
+ * User-Agent Client Hints requested from the browser
+ */
+const CLIENT_HINTS = ['platformVersion', 'architecture', 'bitness', 'model', 'fullVersionList', 'formFactors'];
 
-    if (Object.keys(obj).length > 0) {
-      obj['name'] = k;
-      if (!obj['type']) {
-        obj['type'] = 'STRING';
-      }
-      schema.push(obj);
+/**
+ * Reads the client information from a navigator object, with the
+ * User-Agent Client Hints when the browser has them
+ * @param {Navigator} nav
+ * @returns {Promise<object>}
+ */
+async function fetchInfo(nav) {
+  const info = {
+    agent: nav.userAgent,
+    platform: (nav.platform || '').replace(/_/g, '-'),
+  };
+  if (nav.userAgentData && nav.userAgentData.getHighEntropyValues) {
+    try {
+      info.hints = await nav.userAgentData.getHighEntropyValues(CLIENT_HINTS);
+    } catch (e) { }
+  }
+  return info;
+}
+
+/**
+ * Operating system names by the Client Hints platform
+ */
+const HINT_PLATFORMS = {
+  'Chrome OS': 'ChromeOS',
+  'Chromium OS': 'ChromeOS',
+  'Android': 'Android',
+  'macOS': 'MacOS',
+  'Windows': 'Windows',
+  'Linux': 'Linux',
+};
+
+/**
+ * Brands that only say which engine a browser is built on
+ */
+const ENGINE_BRANDS = ['Chromium', 'Google Chrome'];
+
+/**
+ * Works out the browser, operating system and form factor from the
+ * User-Agent Client Hints
+ * @param {object} hints
+ * @returns {object}
+ */
+function parseClientHints(hints) {
+  //the GREASE brands, like "Not A(Brand", are meant to be ignored
+  const brands = (hints.fullVersionList || hints.brands || []).filter(b => !/not.a.brand/i.test(b.brand));
+  const chromium = brands.find(b => b.brand == 'Chromium');
+  const browser = brands.find(b => !ENGINE_BRANDS.includes(b.brand)) ||
+    brands.find(b => b.brand == 'Google Chrome') || chromium;
+  const formFactors = hints.formFactors || [];
+  let formFactor = hints.mobile ? 'Mobile' : 'Desktop';
+  if (formFactors.includes('Tablet')) formFactor = 'Tablet';
+  else if (formFactors.includes('Mobile')) formFactor = 'Mobile';
+  return {
+    os: HINT_PLATFORMS[hints.platform] || 'Unknown',
+    osVersion: hints.platformVersion,
+    browser: browser ? browser.brand : undefined,
+    browserVersion: browser ? browser.version : undefined,
+    chromeversion: chromium ? chromium.version : undefined,
+    architecture: hints.architecture,
+    bitness: hints.bitness,
+    model: hints.model || undefined,
+    formFactor: formFactor,
+  };
+}
+
+/**
+ * Works out the browser, operating system and form factor from the user
+ * agent string, for browsers without Client Hints. Since the user agent
+ * reduction the versions may be frozen placeholders.
+ * @param {string} agent
+ * @returns {object}
+ */
+function parseUserAgent(agent) {
+  const match = (re) => { const m = (agent || '').match(re); return m ? m[1] : undefined; };
+  const info = { os: 'Unknown', formFactor: 'Desktop' };
+  switch (true) {
+    case /CrOS/.test(agent):
+      info.os = 'ChromeOS';
+      info.osVersion = match(/CrOS \S+ ([0-9.]+)/);
+      break;
+    case /Android/.test(agent):
+      info.os = 'Android';
+      info.osVersion = match(/Android ([0-9.]+)/);
+      info.formFactor = /Mobile/.test(agent) ? 'Mobile' : 'Tablet';
+      break;
+    case /Mac/.test(agent):
+      info.os = 'MacOS';
+      info.osVersion = (match(/Mac OS X ([0-9_.]+)/) || '').replace(/_/g, '.') || undefined;
+      break;
+    case /Win/.test(agent):
+      info.os = 'Windows';
+      info.osVersion = match(/Windows NT ([0-9.]+)/);
+      break;
+    case /Linux/.test(agent):
+      info.os = 'Linux';
+      break;
+  }
+  info.chromeversion = match(/Chrome\/([0-9]+\.[0-9]+\.[0-9]+\.[0-9]+)/);
+  const browsers = [['Microsoft Edge', /EdgA?\/([0-9.]+)/], ['Opera', /OPR\/([0-9.]+)/], ['Google Chrome', /Chrome\/([0-9.]+)/]];
+  const browser = browsers.find(([, re]) => re.test(agent || ''));
+  if (browser) {
+    info.browser = browser[0];
+    info.browserVersion = match(browser[1]);
+  }
+  return info;
+}
+
+/**
+ * Reads the client information from the offscreen document, for when the
+ * service worker's navigator doesn't have it
+ * @returns {Promise<object>}
+ */
+async function getOffscreenInfo() {
+  const url = chrome.runtime.getURL('offscreen.html');
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'], documentUrls: [url] });
+  if (contexts.length == 0) {
+    if (!creatingOffscreen) {
+      creatingOffscreen = chrome.offscreen.createDocument({
+        url: 'offscreen.html',
+        reasons: ['DOM_SCRAPING'],
+        justification: 'Reads the browser user agent and platform',
+      }).finally(() => { creatingOffscreen = null; });
+    }
+    await creatingOffscreen;
+  }
+  return chrome.runtime.sendMessage({ type: 'clientinfo', target: 'offscreen' });
+}
+
+/**
+ * Gets the client information, from the service worker itself or the
+ * offscreen document as a fallback
+ * @returns {Promise<object>}
+ */
+async function getClientInfo() {
+  if (clientInfo) return clientInfo;
+  let info = await fetchInfo(self.navigator || {});
+  if (!info.agent && chrome.offscreen) {
+    try {
+      info = await getOffscreenInfo();
+    } catch (e) {
+      log.warn('offscreen client info failed', e);
+    }
+  }
+  if (info && info.agent) clientInfo = info;
+  return info || {};
+}
+
+/**
+ * Requests the client side information and records the event. No tab is
+ * needed, so events are recorded with only browser pages open.
+ * @param {object} data
+ * @param {string} event
+ */
+async function requestData(data, event) {
+  try {
+    if (typeof data != 'object' || !data) { data = data ? { tabId: data } : {}; }
+    if (event) data.event = event;
+    await updateData({ ...(await getClientInfo()), ...data });
+  } catch (e) {
+    log.error('requesting client data failed', e);
+  }
+}
+
+/**
+ * Controls for an event type from the eventcontrols policy, falling back to
+ * the '*' entry
+ * @param {string} event
+ * @returns {object} debounce, dedupe and samplerate
+ */
+function getEventControls(event) {
+  const controls = managed.eventcontrols || {};
+  return controls[event] || controls['*'] || {};
+}
+
+/**
+ * Pending debounced records by event type
+ */
+const debouncing = {};
+
+/**
+ * Longest debounce in milliseconds, well inside the 30 seconds an idle
+ * service worker is kept, so a pending record isn't lost when it stops
+ */
+const DEBOUNCE_MAX = 10000;
+
+/**
+ * First stage in front of sendData. Events with a debounce wait until none
+ * of the same type came in for that many milliseconds, up to DEBOUNCE_MAX,
+ * and only the last one goes on.
+ * @param {object} record
+ */
+function admitEvent(record) {
+  const { debounce } = getEventControls(record.event);
+  if (!debounce) {
+    filterEvent(record);
+    return;
+  }
+  if (debouncing[record.event]) clearTimeout(debouncing[record.event]);
+  debouncing[record.event] = setTimeout(() => {
+    delete debouncing[record.event];
+    filterEvent(record);
+  }, Math.min(debounce, DEBOUNCE_MAX));
+}
+
+/**
+ * Checks if a record with the same payload was seen within the window and
+ * remembers this one otherwise
+ * @param {object} record
+ * @param {integer} seconds
+ * @returns {Promise<boolean>}
+ */
+function isDuplicate(record, seconds) {
+  return serialize('recentevents', async () => {
+    const hash = await sha256(JSON.stringify(record));
+    const recent = (await localStorage.getItem('recentevents')) || {};
+    const now = Date.now();
+    Object.keys(recent).forEach(h => {
+      if (recent[h] <= now) delete recent[h];
+    });
+    const duplicate = recent[hash] !== undefined;
+    if (!duplicate) recent[hash] = now + seconds * 1000;
+    await localStorage.setItem('recentevents', recent);
+    return duplicate;
+  });
+}
+
+/**
+ * Drops records that duplicate a recent one or that fall outside the sample
+ * rate of their event type, then queues the rest. Kept sampled records carry
+ * their samplerate so the backend can reweight counts.
+ * @param {object} record
+ */
+async function filterEvent(record) {
+  const { dedupe, samplerate } = getEventControls(record.event);
+  try {
+    if (managed.reportmode == 'summary' && !(managed.rawevents || []).includes(record.event)) {
+      await summarize(record);
+      return;
+    }
+    if (dedupe && await isDuplicate(record, dedupe)) {
+      log.debug('duplicate event dropped', { event: record.event });
+      return;
+    }
+    if (samplerate !== undefined) {
+      if (Math.random() >= samplerate) {
+        log.debug('event sampled out', { event: record.event, samplerate: samplerate });
+        return;
+      }
+      record.samplerate = samplerate;
+    }
+    await sendData(record);
+  } catch (e) {
+    log.error('event filtering failed', e);
+  }
+}
+
+/**
+ * Record fields that describe a single event rather than the device, left
+ * out of the summary snapshot
+ */
+const EVENT_FIELDS = ['event', 'tabId', 'attribute', 'field', 'oldvalue', 'newvalue', 'changes', 'invalid', 'extension', 'samplerate'];
+
+/**
+ * Runs a function on the stored summary of the current period and saves it
+ * @param {function} fn
+ * @returns {Promise} the function result
+ */
+function withSummary(fn) {
+  return serialize('summary', async () => {
+    const summary = (await localStorage.getItem('summary')) || { start: Date.now(), counts: {}, domains: {}, active: null };
+    const result = await fn(summary);
+    await localStorage.setItem('summary', summary);
+    return result;
+  });
+}
+
+/**
+ * Adds the time since the active domain was focused to its total
+ * @param {object} summary
+ * @param {integer} now
+ */
+function addActiveTime(summary, now) {
+  if (!summary.active) return;
+  const { domain, since } = summary.active;
+  summary.domains[domain] = (summary.domains[domain] || 0) + now - Math.max(since, summary.start);
+}
+
+/**
+ * Domain of a tab url after the urlmode policy, for web pages only
+ * @param {string} href
+ * @returns {string | null}
+ */
+function tabDomain(href) {
+  const redacted = href && /^https?:/.test(href) ? redactUrl(href) : null;
+  return redacted ? new URL(redacted).hostname : null;
+}
+
+/**
+ * Counts a record in the summary and keeps it as the latest device snapshot
+ * @param {object} record
+ * @returns {Promise}
+ */
+function summarize(record) {
+  return withSummary(summary => {
+    const now = Date.now();
+    summary.counts[record.event] = (summary.counts[record.event] || 0) + 1;
+    summary.first = summary.first || now;
+    summary.last = now;
+    const snapshot = { ...record };
+    EVENT_FIELDS.forEach(k => delete snapshot[k]);
+    summary.snapshot = snapshot;
+  });
+}
+
+/**
+ * Adds the domain of a loaded tab to the visited domains of the summary, and
+ * tracks it when it is the active tab
+ * @param {object} tab
+ */
+function trackTab(tab) {
+  if (managed.reportmode != 'summary' || !tab) return;
+  if (tab.active) {
+    trackActiveTab();
+    return;
+  }
+  const domain = tabDomain(tab.url);
+  if (!domain) return;
+  withSummary(summary => {
+    if (summary.domains[domain] === undefined) summary.domains[domain] = 0;
+  });
+}
+
+/**
+ * Starts timing the domain of the active tab, or stops timing when no
+ * browser window has focus
+ * @param {integer} windowId the focused window, when it changed
+ */
+async function trackActiveTab(windowId) {
+  if (managed.reportmode != 'summary') return;
+  let domain = null;
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) {
+    const tabs = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    domain = tabs[0] ? tabDomain(tabs[0].url) : null;
+  }
+  await withSummary(summary => {
+    if (summary.active && summary.active.domain == domain) return;
+    const now = Date.now();
+    addActiveTime(summary, now);
+    summary.active = domain ? { domain: domain, since: now } : null;
+    if (domain && summary.domains[domain] === undefined) summary.domains[domain] = 0;
+  });
+}
+
+/**
+ * Closes the summary of the current period and queues it as a 'summary'
+ * record: the event counts by type, the visited domains, the active tab time
+ * by domain, the first and last event times and the latest device snapshot.
+ * Called once per period by the sendToBackend alarm.
+ */
+async function sendSummary() {
+  const record = await withSummary(summary => {
+    const now = Date.now();
+    addActiveTime(summary, now);
+    const domains = Object.keys(summary.domains);
+    const events = Object.keys(summary.counts);
+    const record = events.length == 0 && domains.length == 0 ? null : {
+      ...(summary.snapshot || {}),
+      event: 'summary',
+      periodstart: summary.start,
+      periodend: now,
+      firsttimestamp: summary.first,
+      lasttimestamp: summary.last,
+      eventcounts: events.map(e => ({ event: e, count: summary.counts[e] })),
+      domains: domains,
+      activetime: domains.filter(d => summary.domains[d] > 0)
+        .map(d => ({ domain: d, seconds: Math.round(summary.domains[d] / 1000) })),
+    };
+    const active = summary.active;
+    Object.keys(summary).forEach(k => delete summary[k]);
+    Object.assign(summary, {
+      start: now,
+      counts: {},
+      domains: active ? { [active.domain]: 0 } : {},
+      active: active ? { domain: active.domain, since: now } : null,
+    });
+    return record;
+  });
+  if (record) await sendData(record);
+}
+
+/**
+ * Formats and adds data to the persistent queue
+ * @param {object} e
+ */
+async function sendData(e) {
+  await getManaged();
+  if (e.url) {
+    e.url = redactUrl(e.url);
+    if (!e.url) delete e.url;
+  }
+  if (e.url) {
+    const url = new URL(e.url);
+    try {
+      e.urlObject = toJson(url);
+    } catch (e) {
+      log.warn('url parse failed', e);
+    }
+    delete e.urlObject.searchParams;
+  }
+
+  //nulls are kept so the schema inference sees the fields that have no value
+  const all = await applyPrivacy(clearEmptyObjects(e, true));
+  all.timestamp = new Date().getTime();
+
+  //the same id is used in every sink so the copies can be matched up
+  const qid = crypto.randomUUID();
+  log.debug('record queued', { qid: qid, record: all });
+  for (const sink of getSinks()) {
+    if (matchesSink(all, sink)) {
+      await queue.push(sink.name, qid, all);
+    }
+  }
+}
+
+/**
+ * Redacts a URL following the urlmode policy: the full URL, the origin only,
+ * the URL without query and fragment, or the full URL for the domains in
+ * urlallowlist and nothing for the others
+ * @param {string} href
+ * @returns {string | undefined} url
+ */
+function redactUrl(href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch (e) {
+    return managed.urlmode && managed.urlmode != 'full' ? undefined : href;
+  }
+  const origin = `${url.protocol}//${url.host}`;
+  switch (managed.urlmode) {
+    case 'origin':
+      return origin;
+    case 'strip':
+      return origin + url.pathname;
+    case 'allowlist': {
+      const domains = Array.isArray(managed.urlallowlist) ? managed.urlallowlist : [];
+      const allowed = domains.some(d => url.hostname == d || url.hostname.endsWith(`.${d}`));
+      return allowed ? href : undefined;
+    }
+    default:
+      return href;
+  }
+}
+
+/**
+ * Deletes a dotted path from an object
+ * @param {object} obj
+ * @param {string} path
+ */
+function deletePath(obj, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((o, k) => (o && typeof o == 'object' ? o[k] : undefined), obj);
+  if (parent && typeof parent == 'object') {
+    delete parent[last];
+  }
+}
+
+/**
+ * Sets a dotted path on an object, creating the objects along the way
+ * @param {object} obj
+ * @param {string} path
+ * @param {*} value
+ */
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((o, k) => {
+    if (!o[k] || typeof o[k] != 'object') o[k] = {};
+    return o[k];
+  }, obj);
+  parent[last] = value;
+}
+
+/**
+ * Applies the data minimization policies to a record: only the allowfields
+ * are kept when set, the denyfields are removed and the pseudonymizefields
+ * are replaced with a salted SHA-256 hash. Fields are dotted paths, and the
+ * event is always kept.
+ * @param {object} record
+ * @returns {object} record
+ */
+async function minimizeFields(record) {
+  let data = record;
+  if (Array.isArray(managed.allowfields) && managed.allowfields.length > 0) {
+    data = record.event !== undefined ? { event: record.event } : {};
+    managed.allowfields.forEach(path => {
+      const value = getPath(record, path);
+      if (value !== undefined) setPath(data, path, value);
+    });
+  }
+  if (Array.isArray(managed.denyfields)) {
+    managed.denyfields.forEach(path => deletePath(data, path));
+  }
+  if (Array.isArray(managed.pseudonymizefields)) {
+    const salt = managed.pseudonymsalt || '';
+    for (const path of managed.pseudonymizefields) {
+      const value = getPath(data, path);
+      if (value !== undefined && value !== null && value !== '') {
+        setPath(data, path, await sha256(salt + (typeof value == 'object' ? JSON.stringify(value) : String(value))));
+      }
+    }
+  }
+  return data;
+}
+
+/**
+ * Applies the data minimization policies to a record. Change events copy a
+ * record field into oldvalue and newvalue, so the copies get the same rules
+ * under the field's path, or as a record of their own when the attribute
+ * merges an object into the record.
+ * @param {object} record
+ * @returns {object} record
+ */
+async function applyPrivacy(record) {
+  const data = await minimizeFields(record);
+  if (record.attribute !== undefined) {
+    for (const k of ['oldvalue', 'newvalue']) {
+      const value = data[k];
+      if (value === undefined || value === null) continue;
+      if (!record.field && !isObject(value)) continue;
+      const shaped = record.field ? {} : { ...value };
+      if (record.field) setPath(shaped, record.field, value);
+      const minimized = await minimizeFields(shaped);
+      data[k] = record.field ? getPath(minimized, record.field) : minimized;
+      if (data[k] === undefined) delete data[k];
+    }
+  }
+  return clearEmptyObjects(data, true);
+}
+
+/**
+ * Names a sink of the sinks policy that has no name after its url, so its
+ * queue stays the same when the sinks before it change
+ * @param {object} sink
+ * @returns {string} name
+ */
+function sinkName(sink) {
+  if (sink.name) return sink.name;
+  try {
+    const url = new URL(sink.url);
+    return (url.host + url.pathname).replace(/\/$/, '');
+  } catch (e) {
+    return sink.url;
+  }
+}
+
+/**
+ * Lists the configured sinks. The posturl policy and its settings make up
+ * the default sink, next to the ones in the sinks policy.
+ * @returns {Array} sinks
+ */
+function getSinks() {
+  const sinks = [];
+  if (managed.posturl) {
+    sinks.push({
+      name: 'default',
+      url: managed.posturl,
+      format: managed.format,
+      index: managed.sinkindex,
+      sourcetype: managed.sinksourcetype,
+      auth: getAuth(),
+    });
+  }
+  if (Array.isArray(managed.sinks)) {
+    managed.sinks.forEach(s => {
+      if (s && s.url) {
+        sinks.push({ ...s, name: sinkName(s), auth: s.auth || {} });
+      }
+    });
+  }
+  return sinks;
+}
+
+/**
+ * Reads a dotted path from an object
+ * @param {object} obj
+ * @param {string} path
+ * @returns {*}
+ */
+function getPath(obj, path) {
+  return path.split('.').reduce((o, k) => (o && typeof o == 'object' ? o[k] : undefined), obj);
+}
+
+/**
+ * Checks a record against a sink's filter. Each filter key that is set has
+ * to match: the record event, the os, and the presence of every listed field.
+ * @param {object} record
+ * @param {object} sink
+ * @returns {boolean}
+ */
+function matchesSink(record, sink) {
+  const filter = sink.filter;
+  if (!filter) return true;
+  if (Array.isArray(filter.events) && filter.events.length > 0 && !filter.events.includes(record.event)) {
+    return false;
+  }
+  if (Array.isArray(filter.os) && filter.os.length > 0 && !filter.os.includes(record.os)) {
+    return false;
+  }
+  if (Array.isArray(filter.fields) && filter.fields.some(f => getPath(record, f) === undefined)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Uploads in progress by sink, so overlapping triggers don't send a queue
+ * twice
+ */
+const flushing = {};
+
+/**
+ * Time by sink before which no upload is attempted, set from a long
+ * Retry-After
+ */
+const retryAt = {};
+
+/**
+ * Log upload in progress, so overlapping triggers don't send the logs twice
+ */
+let shippingLogs = null;
+
+/**
+ * Sends the log entries that weren't shipped yet to the logurl
+ * @returns {Promise}
+ */
+function sendLogs() {
+  if (!shippingLogs) {
+    shippingLogs = (async () => {
+      const logs = await localStorage.getItem('logs');
+      if (!logs) return;
+      const entries = logs.entries.filter(e => e.seq > logs.shipped);
+      if (entries.length == 0) return;
+      const last = entries[entries.length - 1].seq;
+      const id = await sha256(`logs-${entries[0].seq}-${last}`);
+      const result = await sendToSink(entries, managed.logurl, { id: id, name: 'logs' });
+      if (!result.sent && !result.permanent) return;
+      if (result.permanent) {
+        log.error('log upload rejected, the entries are dropped', { status: result.status, from: entries[0].seq, to: last });
+      }
+      await serialize('logs', async () => {
+        const current = await localStorage.getItem('logs');
+        current.shipped = Math.max(current.shipped, last);
+        await localStorage.setItem('logs', current);
+      });
+    })().finally(() => { shippingLogs = null; });
+  }
+  return shippingLogs;
+}
+
+/**
+ * Infers the schema from every queued record, so the field types are merged
+ * across the whole batch before it is uploaded
+ * @param {Array} sinks
+ */
+async function updateBatchSchema(sinks) {
+  const records = new Map();
+  for (const sink of sinks) {
+    (await queue.getAll(sink.name)).forEach(e => records.set(e.qid, toRecord(e, 0)));
+  }
+  if (records.size > 0) {
+    await updateSchema([...records.values()]);
+  }
+}
+
+/**
+ * Builds the uploaded record from a queue entry. The queue id is added last
+ * as recordid, so a record field can't replace it; id is the user's account
+ * id.
+ * @param {object} entry
+ * @param {integer} schemaversion
+ * @returns {object} record
+ */
+function toRecord(entry, schemaversion) {
+  const record = { ...entry.record, recordid: entry.qid };
+  if (schemaversion !== undefined) {
+    record.schemaversion = schemaversion;
+  }
+  return record;
+}
+
+/**
+ * Milliseconds uploads wait for pending schema migrations to be accepted
+ */
+const SCHEMA_HOLD = 3600000;
+
+/**
+ * Sends the queued records to every sink after updating the schema. Each sink
+ * uploads on its own, so a failing sink doesn't hold back the others. Uploads
+ * wait while schema migrations are pending so no data arrives before its
+ * schema, for up to SCHEMA_HOLD.
+ * @returns {Promise}
+ */
+async function sendToBackend() {
+  await ready;
+  if (managed.logurl) {
+    sendLogs();
+  }
+  const sinks = getSinks();
+  if (managed.schemaurl) {
+    //schemas are registered before the data that uses them arrives
+    await updateBatchSchema(sinks);
+    await sendMigrations();
+    //a schemaurl that keeps failing only holds the uploads for a while, then
+    //the data goes ahead of its schema rather than filling the queues
+    const schema = await getSavedSchema();
+    if (schema && schema.pending.length > 0 && Date.now() < (schema.pendingsince || 0) + SCHEMA_HOLD) {
+      log.warn('schema migrations pending, uploads held', { pending: schema.pending.length });
+      return;
+    }
+  }
+  return Promise.all(sinks.map(sink => {
+    if (!flushing[sink.name]) {
+      flushing[sink.name] = flushQueue(sink).finally(() => { delete flushing[sink.name]; });
+    }
+    return flushing[sink.name];
+  }));
+}
+
+/**
+ * Splits queue entries into ordered batches within the configured record
+ * and byte limits, measured in the output format. A record larger than the
+ * byte limit is sent on its own, and moved to the dead letters when the sink
+ * rejects it.
+ * @param {Array} entries
+ * @param {string} format
+ * @param {object} options
+ * @returns {Array} batches
+ */
+function createBatches(entries, format, options) {
+  const formatter = formatters[format] || formatters.json;
+  const maxRecords = managed.batchrecords;
+  const maxBytes = managed.batchbytes;
+  const batches = [];
+  let batch = [];
+  let bytes = 2;
+
+  entries.forEach(e => {
+    const size = byteLength(formatter.format([toRecord(e, 0)], options)) + 1;
+    if (batch.length > 0 && (batch.length >= maxRecords || bytes + size > maxBytes)) {
+      batches.push(batch);
+      batch = [];
+      bytes = 2;
+    }
+    batch.push(e);
+    bytes += size;
+  });
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches;
+}
+
+/**
+ * Sends a sink's queued records in batches and removes each batch from the
+ * queue once it is acknowledged. Stops at the first failed batch so the
+ * records arrive in order.
+ * @param {object} sink
+ * @returns
+ */
+async function flushQueue(sink) {
+  const entries = await queue.getAll(sink.name);
+  log.debug('flushing queue', { sink: sink.name, queue: entries.length });
+
+  if (entries.length == 0 || Date.now() < (retryAt[sink.name] || 0)) return;
+
+  //records are stamped with the schema version they conform to
+  const schema = managed.schemaurl ? await getSavedSchema() : null;
+  const version = schema ? schema.version : undefined;
+
+  for (const batch of createBatches(entries, sink.format, sink)) {
+    if (!(await deliverBatch(sink, batch, version))) break;
+  }
+}
+
+/**
+ * Sends a batch and removes it from the queue once it is acknowledged. When
+ * the sink rejects the batch for good it is split in halves to find the
+ * records it doesn't accept, and those are moved to the dead letters instead
+ * of blocking the queue. A sink that rejects every record of the batch has a
+ * config problem rather than bad records, so nothing is moved and the batch
+ * stays queued. Records the sink's response lists as invalid are moved there
+ * as well.
+ * @param {object} sink
+ * @param {Array} batch queue entries
+ * @param {integer} version schema version
+ * @param {Array} [rejects] collects the records rejected while splitting
+ * @returns {boolean} true when no record of the batch is left to retry
+ */
+async function deliverBatch(sink, batch, version, rejects) {
+  //each record carries its queue id and the batch id is derived from them,
+  //so both stay the same when an upload is retried
+  const records = batch.map(e => toRecord(e, version));
+  const batchid = await sha256(sink.name + batch.map(e => e.qid).join());
+  const result = await sendToSink(records, sink.url, {
+    id: batchid, name: sink.name, auth: sink.auth, format: sink.format, options: sink
+  });
+  if (result.sent) {
+    const failed = result.failed || [];
+    const rejected = failed.filter(f => !f.retry);
+    const retry = failed.filter(f => f.retry).map(f => batch[f.index]);
+    const done = batch.filter((e, i) => !failed.some(f => f.index == i));
+    await queue.remove(sink.name, done.map(e => e.qid));
+    for (const f of rejected) {
+      await queue.deadLetter(sink.name, [batch[f.index]], f.reason);
+    }
+    if (retry.length == 0) return true;
+    //the rest goes again right away once the rejected records are out of it
+    return rejected.length > 0 && deliverBatch(sink, retry, version);
+  }
+  if (!result.permanent) return false;
+  if (rejects && batch.length == 1) {
+    rejects.push({ entry: batch[0], reason: `status ${result.status}` });
+    return true;
+  }
+  const split = rejects || [];
+  const half = Math.ceil(batch.length / 2);
+  const done = batch.length > 1 && (await deliverBatch(sink, batch.slice(0, half), version, split)) &&
+    (await deliverBatch(sink, batch.slice(half), version, split));
+  if (rejects || !done) return done;
+  //only records the sink turned down next to ones it took are bad records
+  if (split.length == batch.length) {
+    log.error('sink rejected every record, check its config', { sink: sink.name, status: result.status });
+    return false;
+  }
+  for (const r of split) {
+    await queue.deadLetter(sink.name, [r.entry], r.reason);
+  }
+  return done;
+}
+
+/**
+ * Reads the saved schema. A value in any other shape, like the JSON string
+ * earlier versions cached under the same key, is ignored so the schema is
+ * inferred again and overwrites it.
+ * @returns {object | null} version, fields and pending migrations
+ */
+async function getSavedSchema() {
+  const saved = await localStorage.getItem('schema');
+  const valid = isObject(saved) && Number.isInteger(saved.version) && Array.isArray(saved.fields) && Array.isArray(saved.pending);
+  return valid ? saved : null;
+}
+
+/**
+ * Types each type can be widened to without breaking existing data
+ */
+const BQWidening = {
+  'INT64': ['NUMERIC', 'FLOAT64', 'BIGNUMERIC', 'STRING'],
+  'NUMERIC': ['BIGNUMERIC', 'FLOAT64', 'STRING'],
+  'FLOAT64': ['STRING'],
+  'BIGNUMERIC': ['STRING'],
+  'BOOL': ['STRING'],
+  'DATE': ['DATETIME', 'STRING'],
+  'DATETIME': ['STRING'],
+  'TIMESTAMP': ['STRING'],
+};
+
+/**
+ * Returns the wider of two types, or null when neither widens to the other
+ * @param {string} from
+ * @param {string} to
+ * @returns {string | null}
+ */
+function widenType(from, to) {
+  if (from == to) return from;
+  if ((BQWidening[from] || []).includes(to)) return to;
+  if ((BQWidening[to] || []).includes(from)) return from;
+  return null;
+}
+
+/**
+ * Compares a schema against the saved one and merges it in additively.
+ * New fields are added, including inside STRUCT and RECORD fields, types
+ * are only ever widened and REQUIRED fields missing from the new schema are
+ * relaxed to NULLABLE. Conflicting types keep the saved type.
+ * @param {Array} saved
+ * @param {Array} schema
+ * @param {string} path
+ * @returns {object} merged fields and the added, widened and relaxed changes
+ */
+function diffSchema(saved, schema, path = '') {
+  const fields = (saved || []).map(f => ({ ...f }));
+  const added = [];
+  const widened = [];
+  const relaxed = [];
+  const relax = (field, name) => {
+    if (field.mode == 'REQUIRED') {
+      field.mode = 'NULLABLE';
+      relaxed.push({ path: name });
+    }
+  };
+
+  (schema || []).forEach(field => {
+    const name = path ? `${path}.${field.name}` : field.name;
+    const current = fields.find(f => f.name == field.name);
+    if (!current) {
+      //columns added to an existing table can't be REQUIRED
+      const column = fields.length > 0 && field.mode == 'REQUIRED' ? { ...field, mode: 'NULLABLE' } : field;
+      fields.push(column);
+      added.push({ path: name, field: column });
+      return;
+    }
+    if (field.mode != 'REQUIRED') {
+      relax(current, name);
+    }
+    if (current.fields && field.fields) {
+      const nested = diffSchema(current.fields, field.fields, name);
+      current.fields = nested.fields;
+      added.push(...nested.added);
+      widened.push(...nested.widened);
+      relaxed.push(...nested.relaxed);
+      return;
+    }
+    const type = widenType(current.type, field.type);
+    if (type && type != current.type) {
+      widened.push({ path: name, from: current.type, to: type });
+      current.type = type;
+    }
+  });
+
+  if (schema && schema.length > 0) {
+    fields.filter(f => !schema.some(n => n.name == f.name))
+      .forEach(f => relax(f, path ? `${path}.${f.name}` : f.name));
+  }
+  return { fields: fields, added: added, widened: widened, relaxed: relaxed };
+}
+
+/**
+ * Evolves the saved schema with the fields of a batch of records. Each change
+ * gets the next schema version and is saved for the schemaurl in every
+ * dialect of the schemadialects policy: a migration for BigQuery and the
+ * full schema for the others. A dialect added to the policy later gets the
+ * full schema of the current version.
+ * @param {Array} records
+ * @returns {integer} schema version the records conform to
+ */
+function updateSchema(records) {
+  return serialize('schema', async () => {
+    const saved = (await getSavedSchema()) || { version: 0, fields: [], pending: [] };
+    const { fields, added, widened, relaxed } = diffSchema(saved.fields, createSchema(records));
+    const changed = added.length > 0 || widened.length > 0 || relaxed.length > 0;
+    //schemas saved before dialects were tracked were only published to bigquery
+    const published = saved.dialects || ['bigquery'];
+    const dialects = managed.schemadialects.filter(d => d == 'bigquery' || schemaGenerators[d]);
+    const enabled = fields.length > 0 ? dialects.filter(d => !published.includes(d)) : [];
+    if (!changed && enabled.length == 0) {
+      return saved.version;
+    }
+    const version = changed ? saved.version + 1 : saved.version;
+    dialects.forEach(dialect => {
+      const full = enabled.includes(dialect);
+      if (!changed && !full) return;
+      if (dialect == 'bigquery') {
+        //a newly enabled dialect gets every field, as if the table were new
+        saved.pending.push({
+          dialect: dialect,
+          version: version,
+          previous: full ? 0 : saved.version,
+          added: full ? fields.map(f => ({ path: f.name, field: f })) : added,
+          widened: full ? [] : widened,
+          relaxed: full ? [] : relaxed,
+          schema: fields,
+        });
+      } else {
+        saved.pending.push({ dialect: dialect, version: version, schema: schemaGenerators[dialect](fields) });
+      }
+    });
+    saved.version = version;
+    saved.fields = fields;
+    saved.pendingsince = saved.pendingsince || Date.now();
+    saved.dialects = [...new Set([...published, ...dialects])];
+    await localStorage.setItem('schema', saved);
+    return saved.version;
+  });
+}
+
+/**
+ * Migrations being posted, so overlapping triggers don't post them twice
+ */
+let migrating = null;
+
+/**
+ * Posts the pending schema migrations to the schemaurl in version order.
+ * Stops at the first failure, the rest are retried on the next upload.
+ * @returns {Promise}
+ */
+function sendMigrations() {
+  if (!migrating) {
+    migrating = (async () => {
+      const saved = await getSavedSchema();
+      if (!saved || !managed.schemaurl) return;
+      for (const migration of saved.pending) {
+        const id = `schema-${migration.dialect}-${migration.version}`;
+        const result = await sendToSink(migration, managed.schemaurl, { id: id });
+        if (!result.sent && !result.permanent) break;
+        if (result.permanent) {
+          log.error('schema migration rejected, it is dropped', { dialect: migration.dialect, version: migration.version, status: result.status });
+        }
+        await serialize('schema', async () => {
+          const current = await getSavedSchema();
+          if (!current) return;
+          current.pending = current.pending.filter(m => m.version != migration.version || m.dialect != migration.dialect);
+          if (current.pending.length == 0) delete current.pendingsince;
+          await localStorage.setItem('schema', current);
+        });
+      }
+    })().finally(() => { migrating = null; });
+  }
+  return migrating;
+}
+
+/**
+ * Checks if a field holds an epoch milliseconds timestamp, from its name and
+ * a value between 2001 and 2286
+ * @param {string} key
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEpochMs(key, value) {
+  return Number.isInteger(value) && value >= 1e12 && value < 1e13 && (/time|date/i.test(key) || /At$/.test(key));
+}
+
+/**
+ * Converts the epoch milliseconds timestamps of a value to ISO strings, so
+ * the raw formats match the TIMESTAMP type the schema gives them
+ * @param {*} value
+ * @param {string} key
+ * @returns {*}
+ */
+function isoTimestamps(value, key = '') {
+  if (Array.isArray(value)) {
+    return value.map(v => isoTimestamps(v, key));
+  }
+  if (isObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, isoTimestamps(v, k)]));
+  }
+  return isEpochMs(key, value) ? new Date(value).toISOString() : value;
+}
+
+/**
+ * Determines the type of a value, detecting integers, timestamps and ISO
+ * date strings
+ * @param {string} key
+ * @param {*} value
+ * @returns {string} type
+ */
+function inferType(key, value) {
+  const type = typeof value;
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (type == 'number') {
+    if (isEpochMs(key, value)) return 'timestamp';
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  if (type == 'string') {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return 'date';
+    if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value)) return 'datetime';
+    if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(value)) return 'timestamp';
+  }
+  return type;
+}
+
+/**
+ * Merges the schemas of two values of the same field. Types are widened,
+ * falling back to STRING when they conflict, and the field is only REQUIRED
+ * when it is in both.
+ * @param {object} a
+ * @param {object} b
+ * @returns {object} field
+ */
+function mergeField(a, b) {
+  let field = { name: a.name };
+  if (!a.type || !b.type) {
+    field = { ...(a.type ? a : b), name: a.name };
+  } else if (a.fields && b.fields) {
+    field.type = a.type;
+    field.fields = mergeFields(a.fields, b.fields);
+  } else {
+    field.type = widenType(a.type, b.type) || 'STRING';
+  }
+  if (a.mode == 'REPEATED' || b.mode == 'REPEATED') {
+    field.mode = 'REPEATED';
+  } else {
+    field.mode = a.mode == 'REQUIRED' && b.mode == 'REQUIRED' ? 'REQUIRED' : 'NULLABLE';
+  }
+  return field;
+}
+
+/**
+ * Merges two field lists. Fields missing from either list become NULLABLE.
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {Array} fields
+ */
+function mergeFields(a, b) {
+  const optional = f => (f.mode == 'REQUIRED' ? { ...f, mode: 'NULLABLE' } : f);
+  const fields = a.map(f => {
+    const other = b.find(o => o.name == f.name);
+    return other ? mergeField(f, other) : optional(f);
+  });
+  b.filter(o => !a.some(f => f.name == o.name)).forEach(o => fields.push(optional(o)));
+  return fields;
+}
+
+/**
+ * Creates the schema field for a value. Null values have no type until they
+ * are merged with a typed value. Arrays are REPEATED with the type merged
+ * across their items.
+ * @param {string} key
+ * @param {*} value
+ * @returns {object} field
+ */
+function createField(key, value) {
+  const name = bigQueryName(key);
+  if (Array.isArray(value)) {
+    const items = value.filter(v => v !== null && v !== undefined)
+      .map(v => createField(key, v)).filter(f => f);
+    if (items.length == 0) return;
+    const item = items.reduce(mergeField);
+    //arrays of arrays aren't supported, the items are sent as JSON strings
+    if (item.mode == 'REPEATED') {
+      return { name: name, type: 'STRING', mode: 'REPEATED' };
+    }
+    return { ...item, name: name, type: item.fields ? 'RECORD' : item.type, mode: 'REPEATED' };
+  }
+
+  const type = inferType(key, value);
+  if (type == 'null') {
+    return { name: name, type: null, mode: 'NULLABLE' };
+  }
+  if (type == 'object') {
+    const fields = inferFields(value);
+    if (!fields || fields.length == 0) return;
+    return { name: name, type: 'STRUCT', mode: 'REQUIRED', fields: fields };
+  }
+  if (!BQDict[type]) return;
+  return { name: name, type: BQDict[type], mode: 'REQUIRED' };
+}
+
+/**
+ * Infers the fields of an object, or of an array of objects with the types
+ * merged across them
+ * @param {object | Array} data
+ * @returns {Array} fields
+ */
+function inferFields(data) {
+  if (!data) return;
+  if (Array.isArray(data)) {
+    const schemas = data.map(inferFields).filter(f => f);
+    return schemas.length > 0 ? schemas.reduce(mergeFields) : undefined;
+  }
+  const schema = [];
+  Object.keys(data).forEach(k => {
+    const field = createField(k, data[k]);
+    if (field) {
+      schema.push(field);
     }
   });
   return schema;
 }
 
+/**
+ * Creates a BigQuery schema from a JSON object, or from an array of objects
+ * with the field types merged across them. Fields that were only ever null
+ * are typed as STRING.
+ * @param {object | Array} data
+ * @returns {Array} schema
+ */
+function createSchema(data) {
+  const finalize = fields => fields.map(f => {
+    const field = { ...f, type: f.type || 'STRING' };
+    if (f.fields) field.fields = finalize(f.fields);
+    return field;
+  });
+  const fields = inferFields(data);
+  return fields ? finalize(fields) : fields;
+}
+
+/**
+ * Converts a key to a valid BigQuery column name
+ * @param {string} name
+ * @returns {string}
+ */
+function bigQueryName(name) {
+  let column = String(name).replace(/[^A-Za-z0-9_]/g, '_');
+  if (!/^[A-Za-z_]/.test(column) || /^(_TABLE_|_FILE_|_PARTITION|_ROW_TIMESTAMP|__ROOT__|_COLUMN_)/i.test(column)) {
+    column = `f_${column}`;
+  }
+  return column.substring(0, 300);
+}
+
+/**
+ * Converts a record to a BigQuery row matching the schema from createSchema
+ * @param {object} data
+ * @returns {object} row
+ */
+function toBigQueryRow(data) {
+  const row = {};
+  Object.keys(data).forEach(k => {
+    const value = toBigQueryValue(k, data[k]);
+    if (value !== undefined) {
+      row[bigQueryName(k)] = value;
+    }
+  });
+  return row;
+}
+
+/**
+ * Converts a value to its BigQuery JSON representation. Empty values are
+ * dropped the same way createSchema skips them, epoch milliseconds become
+ * timestamp strings and arrays with mixed types become JSON strings.
+ * @param {string} key
+ * @param {*} value
+ * @returns {*}
+ */
+function toBigQueryValue(key, value) {
+  switch (typeof value) {
+    case 'function':
+    case 'undefined':
+    case 'symbol':
+      return undefined;
+    case 'bigint':
+      return value.toString();
+    case 'number':
+      return isEpochMs(key, value) ? new Date(value).toISOString() : value;
+    case 'object':
+      break;
+    default:
+      return value;
+  }
+  if (!value) {
+    return undefined;
+  }
+  if (!Array.isArray(value)) {
+    const struct = toBigQueryRow(value);
+    return Object.keys(struct).length > 0 ? struct : undefined;
+  }
+
+  const items = value.filter(v => v !== null && v !== undefined);
+  if (items.length == 0) {
+    return undefined;
+  }
+  const types = new Set(items.map(v => (Array.isArray(v) ? 'array' : typeof v)));
+  if (types.size > 1 || types.has('array')) {
+    return items.map(v => (typeof v == 'object' ? JSON.stringify(v) : String(v)));
+  }
+  if (types.has('object')) {
+    return items.map(toBigQueryRow);
+  }
+  return items.map(v => toBigQueryValue(key, v));
+}
+
+/**
+ * Formats records as a BigQuery tabledata.insertAll request body. The record
+ * id is used as the insertId so BigQuery drops rows repeated by a retry.
+ * @param {Array} records
+ * @returns {object} insertAll request
+ */
+function formatBigQuery(records) {
+  return {
+    kind: 'bigquery#tableDataInsertAllRequest',
+    skipInvalidRows: false,
+    ignoreUnknownValues: false,
+    rows: records.map(r => ({ insertId: r.recordid, json: toBigQueryRow(r) })),
+  };
+}
+
+/**
+ * Reads the insertErrors of a tabledata.insertAll response. With
+ * skipInvalidRows off BigQuery stores no row when one is invalid, so the
+ * invalid rows are failed for good and every other row is retried.
+ * @param {Response} res
+ * @param {Array} records
+ * @returns {Array} failed records by index, with retry and the reason
+ */
+async function checkBigQuery(res, records) {
+  const body = await res.json().catch(() => ({}));
+  const errors = Array.isArray(body.insertErrors) ? body.insertErrors : [];
+  if (errors.length == 0) return [];
+  return records.map((r, i) => {
+    const error = errors.find(e => e.index == i);
+    const reasons = error ? (error.errors || []).filter(e => e.reason != 'stopped') : [];
+    return {
+      index: i,
+      retry: reasons.length == 0,
+      reason: reasons.length > 0 ? reasons.map(e => `${e.reason}: ${e.message}`).join('; ') : 'stopped',
+    };
+  });
+}
+
+/**
+ * Reads the per item results of an Elasticsearch _bulk response, which is a
+ * 200 even when items fail. Items rejected for rate limits or server errors
+ * are retried, the others failed for good.
+ * @param {Response} res
+ * @param {Array} records
+ * @returns {Array} failed records by index, with retry and the reason
+ */
+async function checkElasticsearch(res, records) {
+  const body = await res.json().catch(() => ({}));
+  if (!body.errors || !Array.isArray(body.items)) return [];
+  const failed = [];
+  body.items.forEach((item, i) => {
+    const result = item.index || item.create || {};
+    if (!result.error || i >= records.length) return;
+    failed.push({
+      index: i,
+      retry: result.status == 429 || result.status >= 500,
+      reason: `${result.error.type}: ${result.error.reason}`,
+    });
+  });
+  return failed;
+}
+
+/**
+ * Common fields mapped to each output format's native fields
+ * @param {object} record
+ * @returns {object} event, timestamp, device id and user email
+ */
+function recordFields(record) {
+  return {
+    event: record.event,
+    timestamp: record.timestamp || Date.now(),
+    deviceid: record.getDirectoryDeviceId || record.getDeviceSerialNumber,
+    email: record.email,
+  };
+}
+
+/**
+ * Converts a value to an OpenTelemetry AnyValue
+ * @param {*} value
+ * @returns {object} AnyValue
+ */
+function toOtlpValue(value) {
+  switch (typeof value) {
+    case 'boolean':
+      return { boolValue: value };
+    case 'number':
+      return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    case 'object':
+      if (!value) return {};
+      if (Array.isArray(value)) {
+        return { arrayValue: { values: value.map(toOtlpValue) } };
+      }
+      return { kvlistValue: { values: toOtlpAttributes(value) } };
+    default:
+      return { stringValue: String(value) };
+  }
+}
+
+/**
+ * Converts an object to a list of OpenTelemetry key values
+ * @param {object} obj
+ * @returns {Array} attributes
+ */
+function toOtlpAttributes(obj) {
+  return Object.keys(obj)
+    .filter(k => obj[k] !== undefined && typeof obj[k] != 'function')
+    .map(k => ({ key: k, value: toOtlpValue(obj[k]) }));
+}
+
+/**
+ * Output formats for sink uploads. Each formatter turns a batch of records
+ * into a request body of its content type, and can check a successful
+ * response for records the sink rejected anyway.
+ */
+const formatters = {
+  json: {
+    contentType: 'application/json',
+    format: records => JSON.stringify(records.map(r => isoTimestamps(r))),
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson',
+    format: records => records.map(r => JSON.stringify(isoTimestamps(r)) + '\n').join(''),
+  },
+  bigquery: {
+    contentType: 'application/json',
+    format: records => JSON.stringify(formatBigQuery(records)),
+    check: checkBigQuery,
+  },
+  //Splunk HTTP Event Collector envelopes, one per line
+  splunk: {
+    contentType: 'application/json',
+    format: (records, options) => records.map(r => {
+      const fields = recordFields(r);
+      const envelope = {
+        time: fields.timestamp / 1000,
+        host: fields.deviceid || r.getDeviceHostname,
+        source: 'check-managed',
+        sourcetype: options.sourcetype || '_json',
+        fields: { event: fields.event, deviceid: fields.deviceid, email: fields.email },
+        event: r,
+      };
+      if (options.index) envelope.index = options.index;
+      return JSON.stringify(clearEmptyObjects(envelope)) + '\n';
+    }).join(''),
+  },
+  //Elasticsearch _bulk action and document pairs
+  elasticsearch: {
+    contentType: 'application/x-ndjson',
+    format: (records, options) => records.map(r => {
+      const fields = recordFields(r);
+      const { event, email, ...rest } = r;
+      const action = { index: { _index: options.index || 'check-managed', _id: r.recordid } };
+      const doc = {
+        ...rest,
+        '@timestamp': new Date(fields.timestamp).toISOString(),
+        event: { action: fields.event, id: r.recordid },
+        host: { id: fields.deviceid, hostname: r.getDeviceHostname },
+        user: { email: fields.email },
+      };
+      return JSON.stringify(action) + '\n' + JSON.stringify(clearEmptyObjects(doc)) + '\n';
+    }).join(''),
+    check: checkElasticsearch,
+  },
+  //OTLP/HTTP JSON log records
+  otlp: {
+    contentType: 'application/json',
+    format: records => {
+      const devices = new Map();
+      records.forEach(r => {
+        const fields = recordFields(r);
+        if (!devices.has(fields.deviceid)) devices.set(fields.deviceid, []);
+        devices.get(fields.deviceid).push({
+          timeUnixNano: `${Math.round(fields.timestamp)}000000`,
+          observedTimeUnixNano: `${Date.now()}000000`,
+          severityNumber: 9,
+          severityText: 'INFO',
+          body: toOtlpValue(r),
+          attributes: toOtlpAttributes({
+            'event.name': fields.event,
+            'log.record.uid': r.recordid,
+            'user.email': fields.email,
+          }),
+        });
+      });
+      return JSON.stringify({
+        resourceLogs: [...devices].map(([deviceid, logRecords]) => ({
+          resource: {
+            attributes: toOtlpAttributes({ 'service.name': 'check-managed', 'host.id': deviceid }),
+          },
+          scopeLogs: [{ scope: { name: 'check-managed' }, logRecords: logRecords }],
+        })),
+      });
+    },
+  },
+};
+
+/**
+ * BigQuery types to JSON Schema types. Timestamps are ISO strings, or epoch
+ * milliseconds in the data sent before the raw formats converted them.
+ */
+const JSONSchemaDict = {
+  'INT64': { type: 'integer' },
+  'FLOAT64': { type: 'number' },
+  'NUMERIC': { type: 'number' },
+  'BIGNUMERIC': { type: 'string' },
+  'STRING': { type: 'string' },
+  'BOOL': { type: 'boolean' },
+  'DATE': { type: 'string', format: 'date' },
+  'DATETIME': { type: 'string' },
+  'TIMESTAMP': { anyOf: [{ type: 'integer' }, { type: 'string', format: 'date-time' }] },
+};
+
+/**
+ * BigQuery types to Avro types
+ */
+const AvroDict = {
+  'INT64': 'long',
+  'FLOAT64': 'double',
+  'NUMERIC': 'double',
+  'BIGNUMERIC': 'string',
+  'STRING': 'string',
+  'BOOL': 'boolean',
+  'DATE': 'string',
+  'DATETIME': 'string',
+  'TIMESTAMP': [{ type: 'long', logicalType: 'timestamp-millis' }, 'string'],
+};
+
+/**
+ * Converts schema fields to a JSON Schema object
+ * @param {Array} fields
+ * @returns {object} JSON Schema
+ */
+function jsonSchemaObject(fields) {
+  const obj = { type: 'object', properties: {} };
+  const required = [];
+  fields.forEach(f => {
+    let prop = f.fields ? jsonSchemaObject(f.fields) : { ...(JSONSchemaDict[f.type] || { type: 'string' }) };
+    if (f.mode == 'REPEATED') {
+      prop = { type: 'array', items: prop };
+    } else if (f.mode == 'REQUIRED') {
+      required.push(f.name);
+    } else if (prop.anyOf) {
+      prop.anyOf = [...prop.anyOf, { type: 'null' }];
+    } else {
+      prop.type = [prop.type, 'null'];
+    }
+    obj.properties[f.name] = prop;
+  });
+  if (required.length > 0) {
+    obj.required = required;
+  }
+  return obj;
+}
+
+/**
+ * Creates a JSON Schema (draft 2020-12) from schema fields
+ * @param {Array} fields
+ * @returns {object} JSON Schema
+ */
+function toJsonSchema(fields) {
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'CheckManaged',
+    ...jsonSchemaObject(fields),
+  };
+}
+
+/**
+ * Converts schema fields to an Avro record. Nested records are named after
+ * their path so the names are unique.
+ * @param {Array} fields
+ * @param {string} name
+ * @returns {object} Avro record
+ */
+function avroRecord(fields, name) {
+  return {
+    type: 'record',
+    name: name,
+    fields: fields.map(f => {
+      let type = f.fields ? avroRecord(f.fields, `${name}_${f.name}`) : (AvroDict[f.type] || 'string');
+      if (f.mode == 'REPEATED') {
+        return { name: f.name, type: { type: 'array', items: type }, default: [] };
+      }
+      if (f.mode == 'REQUIRED') {
+        return { name: f.name, type: type };
+      }
+      return { name: f.name, type: ['null', ...[].concat(type)], default: null };
+    }),
+  };
+}
+
+/**
+ * Creates an Avro record schema from schema fields
+ * @param {Array} fields
+ * @returns {object} Avro schema
+ */
+function toAvroSchema(fields) {
+  return avroRecord(fields, 'CheckManaged');
+}
+
+/**
+ * Schema dialects published next to the BigQuery schema
+ */
+const schemaGenerators = {
+  jsonschema: toJsonSchema,
+  avro: toAvroSchema,
+};
@@ -0,0 +1,92 @@
+/* Copyright 2023 Google LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License. */
+
+/**
+ * Log levels in increasing severity
+ */
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Fills the elements marked with data-i18n with their localized message
+ */
+function localize() {
+  document.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = chrome.i18n.getMessage(el.dataset.i18n);
+  });
+}
+
+/**
+ * Reads the stored log entries
+ * @returns {Promise<array>}
+ */
+async function getEntries() {
+  const { logs } = await chrome.storage.local.get('logs');
+  return logs ? logs.entries : [];
+}
+
+/**
+ * Renders the log entries at or above the selected level, newest first
+ */
+async function render() {
+  const min = LOG_LEVELS.indexOf(document.getElementById('level').value);
+  const entries = (await getEntries()).filter(e => LOG_LEVELS.indexOf(e.level) >= min);
+  const tbody = document.getElementById('entries');
+  tbody.replaceChildren();
+  if (entries.length == 0) {
+    const row = tbody.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 4;
+    cell.textContent = chrome.i18n.getMessage('noData');
+    return;
+  }
+  entries.reverse().forEach(entry => {
+    const row = tbody.insertRow();
+    row.classList.add(entry.level);
+    row.insertCell().textContent = new Date(entry.time).toLocaleString();
+    row.insertCell().textContent = entry.level;
+    row.insertCell().textContent = entry.message;
+    const pre = document.createElement('pre');
+    pre.textContent = entry.data === undefined ? '' : JSON.stringify(entry.data, null, 2);
+    row.insertCell().appendChild(pre);
+  });
+}
+
+/**
+ * Downloads every stored log entry as a JSON file
+ */
+async function exportLogs() {
+  const blob = new Blob([JSON.stringify(await getEntries(), null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `logs-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Asks the background script to remove the stored log entries, keeping the
+ * sequence and upload position
+ */
+async function clearLogs() {
+  await chrome.runtime.sendMessage({ type: 'clearlogs' });
+}
+
+localize();
+document.getElementById('level').addEventListener('change', render);
+document.getElementById('export').addEventListener('click', exportLogs);
+document.getElementById('clear').addEventListener('click', clearLogs);
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area == 'local' && changes.logs) render();
+});
+render();
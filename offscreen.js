@@ -0,0 +1,46 @@
+/* Copyright 2023 Google LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License. */
+
+/**
+ * User-Agent Client Hints requested from the browser
+ */
+const CLIENT_HINTS = ['platformVersion', 'architecture', 'bitness', 'model', 'fullVersionList', 'formFactors'];
+
+/**
+ * Reads the client information, with the User-Agent Client Hints when the
+ * browser has them
+ * @returns {Promise<object>}
+ */
+async function fetchInfo() {
+  const info = {
+    agent: navigator.userAgent,
+    platform: navigator.platform.replace(/_/g, '-'),
+  };
+  if (navigator.userAgentData && navigator.userAgentData.getHighEntropyValues) {
+    try {
+      info.hints = await navigator.userAgentData.getHighEntropyValues(CLIENT_HINTS);
+    } catch (e) { }
+  }
+  return info;
+}
+
+/**
+ * Answers the background script's client information requests, for when the
+ * service worker can't read them itself
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (!request || request.target != 'offscreen' || request.type != 'clientinfo') return;
+  fetchInfo().then(sendResponse);
+  return true;
+});
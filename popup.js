@@ -0,0 +1,100 @@
+/* Copyright 2023 Google LLC
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*      http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License. */
+
+/**
+ * Fills the elements marked with data-i18n with their localized message
+ */
+function localize() {
+  document.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = chrome.i18n.getMessage(el.dataset.i18n);
+  });
+}
+
+/**
+ * Formats a timestamp for display
+ * @param {integer} time
+ * @returns {string}
+ */
+function formatTime(time) {
+  return time ? new Date(time).toLocaleString() : chrome.i18n.getMessage('never');
+}
+
+/**
+ * Shows a value as indented JSON
+ * @param {string} id
+ * @param {*} value
+ */
+function showJson(id, value) {
+  const empty = !value || (typeof value == 'object' && Object.keys(value).length == 0);
+  document.getElementById(id).textContent = empty ?
+    chrome.i18n.getMessage('noData') : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Renders the status sent by the background script
+ * @param {object} status
+ */
+function render(status) {
+  const sinks = document.getElementById('sinks');
+  sinks.replaceChildren();
+  Object.keys(status.queues).forEach(name => {
+    const upload = status.uploads[name] || {};
+    const row = document.createElement('tr');
+    const cells = [
+      name,
+      status.queues[name],
+      (status.deadletters || {})[name] || 0,
+      upload.status === undefined ? '' : `${upload.status} (${formatTime(upload.time)})`,
+      upload.lastsuccess ? `${upload.lastsuccessstatus} (${formatTime(upload.lastsuccess)})` : formatTime(),
+    ];
+    cells.forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    if (upload.status !== undefined && upload.lastsuccess != upload.time) {
+      row.classList.add('error');
+    }
+    sinks.appendChild(row);
+  });
+
+  showJson('lastrecord', status.lastrecord);
+  showJson('device', status.device);
+  showJson('config', status.config);
+  showJson('schema', status.schema);
+}
+
+/**
+ * Sends an action to the background script and renders the returned status
+ * @param {string} type
+ */
+async function request(type) {
+  const buttons = document.querySelectorAll('button');
+  buttons.forEach(b => { b.disabled = true; });
+  try {
+    const status = await chrome.runtime.sendMessage({ type: type });
+    if (status && !status.error) render(status);
+  } finally {
+    buttons.forEach(b => { b.disabled = false; });
+  }
+}
+
+localize();
+['flush', 'refresh', 'clearcache'].forEach(type => {
+  document.getElementById(type).addEventListener('click', () => request(type));
+});
+document.getElementById('logs').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('logs.html') });
+});
+request('status');